@@ -2,24 +2,43 @@ import { BrowserRouter, Navigate, Routes, Route } from "react-router-dom";
 import HomePage from "scenes/homePage";
 import LoginPage from "scenes/loginPage";
 import ProfilePage from "scenes/profilePage";
+import SearchPage from "scenes/searchPage";
+import NotificationsPage from "scenes/notificationsPage";
+import MessagesPage from "scenes/messagesPage";
+import AnalyticsPage from "scenes/analyticsPage";
+import VerifyPage from "scenes/verifyPage";
+import ForgotPasswordPage from "scenes/forgotPasswordPage";
+import ResetPasswordPage from "scenes/resetPasswordPage";
+import SettingsPage from "scenes/settingsPage";
 import { useMemo } from "react";
 import { useSelector } from "react-redux";
 import { CssBaseline, ThemeProvider } from "@mui/material";
 import { createTheme } from "@mui/material/styles";
 import { themeSettings } from "./theme";
+import VerifyEmailBanner from "components/VerifyEmailBanner";
+import useTokenRefresh from "hooks/useTokenRefresh";
+import useRealtime from "hooks/useRealtime";
 
 function App() {
   const mode = useSelector((state) => state.mode);
   const theme = useMemo(() => createTheme(themeSettings(mode)), [mode]);
   const isAuth = Boolean(useSelector((state) => state.token));
+  const isReady = useTokenRefresh();
+  useRealtime();
+
+  if (!isReady) return null;
 
   return (
     <div className="app">
       <BrowserRouter>
         <ThemeProvider theme={theme}>
           <CssBaseline />
+          {isAuth && <VerifyEmailBanner />}
           <Routes>
             <Route path="/" element={<LoginPage />} />
+            <Route path="/verify" element={<VerifyPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
             <Route
               path="/home"
               element={isAuth ? <HomePage /> : <Navigate to="/" />}
@@ -28,6 +47,26 @@ function App() {
               path="/profile/:userId"
               element={isAuth ? <ProfilePage /> : <Navigate to="/" />}
             />
+            <Route
+              path="/search"
+              element={isAuth ? <SearchPage /> : <Navigate to="/" />}
+            />
+            <Route
+              path="/notifications"
+              element={isAuth ? <NotificationsPage /> : <Navigate to="/" />}
+            />
+            <Route
+              path="/messages"
+              element={isAuth ? <MessagesPage /> : <Navigate to="/" />}
+            />
+            <Route
+              path="/analytics"
+              element={isAuth ? <AnalyticsPage /> : <Navigate to="/" />}
+            />
+            <Route
+              path="/settings"
+              element={isAuth ? <SettingsPage /> : <Navigate to="/" />}
+            />
           </Routes>
         </ThemeProvider>
       </BrowserRouter>
@@ -0,0 +1,129 @@
+import {
+  DeleteOutlined,
+  FavoriteBorderOutlined,
+  FavoriteOutlined,
+} from "@mui/icons-material";
+import { Box, IconButton, Typography, useTheme } from "@mui/material";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { setPost } from "state";
+import FlexBetween from "./FlexBetween";
+import UserImage from "./UserImage";
+
+const Comment = ({ postId, postUserId, comment, comments, onReply }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const token = useSelector((state) => state.token);
+  const loggedInUserId = useSelector((state) => state.user._id);
+
+  const { palette } = useTheme();
+  const main = palette.neutral.main;
+  const medium = palette.neutral.medium;
+  const primary = palette.primary.main;
+
+  const { _id, userId, firstName, lastName, userPicturePath, text } = comment;
+  const likes = comment.likes || {};
+  const isLiked = Boolean(likes[loggedInUserId]);
+  const likeCount = Object.keys(likes).length;
+  const canDelete = userId === loggedInUserId || postUserId === loggedInUserId;
+  const replies = comments.filter((reply) => reply.parentId === _id);
+  // comments by deleted accounts are kept but no longer link to a profile
+  const isDeletedUser = userId === "deleted";
+
+  const patchLike = async () => {
+    const response = await fetch(
+      `http://localhost:3001/posts/${postId}/comments/${_id}/like`,
+      {
+        method: "PATCH",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    const updatedPost = await response.json();
+    dispatch(setPost({ post: updatedPost }));
+  };
+
+  const deleteComment = async () => {
+    const response = await fetch(
+      `http://localhost:3001/posts/${postId}/comments/${_id}`,
+      {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    const updatedPost = await response.json();
+    dispatch(setPost({ post: updatedPost }));
+  };
+
+  return (
+    <Box>
+      <Box display="flex" gap="0.75rem" m="0.5rem 0">
+        <UserImage image={userPicturePath} size="32px" />
+        <Box flexGrow={1}>
+          <Typography
+            color={main}
+            fontWeight="500"
+            onClick={() => {
+              if (isDeletedUser) return;
+              navigate(`/profile/${userId}`);
+              navigate(0);
+            }}
+            sx={
+              isDeletedUser
+                ? undefined
+                : {
+                    "&:hover": {
+                      color: palette.primary.light,
+                      cursor: "pointer",
+                    },
+                  }
+            }
+          >
+            {firstName} {lastName}
+          </Typography>
+          <Typography color={main}>{text}</Typography>
+          <FlexBetween justifyContent="flex-start" gap="0.5rem">
+            <IconButton size="small" onClick={patchLike}>
+              {isLiked ? (
+                <FavoriteOutlined fontSize="small" sx={{ color: primary }} />
+              ) : (
+                <FavoriteBorderOutlined fontSize="small" />
+              )}
+            </IconButton>
+            <Typography color={medium} fontSize="0.75rem">
+              {likeCount}
+            </Typography>
+            <Typography
+              color={medium}
+              fontSize="0.75rem"
+              onClick={() => onReply(comment)}
+              sx={{ "&:hover": { color: primary, cursor: "pointer" } }}
+            >
+              Reply
+            </Typography>
+            {canDelete && (
+              <IconButton size="small" onClick={deleteComment}>
+                <DeleteOutlined fontSize="small" />
+              </IconButton>
+            )}
+          </FlexBetween>
+        </Box>
+      </Box>
+      {replies.length > 0 && (
+        <Box pl="2.75rem">
+          {replies.map((reply) => (
+            <Comment
+              key={reply._id}
+              postId={postId}
+              postUserId={postUserId}
+              comment={reply}
+              comments={comments}
+              onReply={onReply}
+            />
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default Comment;
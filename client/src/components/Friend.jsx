@@ -1,8 +1,12 @@
-import { PersonAddOutlined, PersonRemoveOutlined } from "@mui/icons-material";
+import {
+  HourglassTopOutlined,
+  PersonAddOutlined,
+  PersonRemoveOutlined,
+} from "@mui/icons-material";
 import { Box, IconButton, Typography, useTheme } from "@mui/material";
 import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
-import { setFriends } from "state";
+import { setFriends, setFriendRequests } from "state";
 import FlexBetween from "./FlexBetween";
 import UserImage from "./UserImage";
 
@@ -12,6 +16,7 @@ const Friend = ({ friendId, name, subtitle, userPicturePath }) => {
   const { _id } = useSelector((state) => state.user);
   const token = useSelector((state) => state.token);
   const friends = useSelector((state) => state.user.friends);
+  const { outgoing } = useSelector((state) => state.friendRequests);
 
   const { palette } = useTheme();
   const primaryLight = palette.primary.light;
@@ -19,7 +24,9 @@ const Friend = ({ friendId, name, subtitle, userPicturePath }) => {
   const main = palette.neutral.main;
   const medium = palette.neutral.medium;
 
+  const isSelf = friendId === _id;
   const isFriend = friends.find((friend) => friend._id === friendId);
+  const pendingRequest = outgoing.find((request) => request.to === friendId);
 
   const patchFriend = async () => {
     const response = await fetch(
@@ -36,6 +43,31 @@ const Friend = ({ friendId, name, subtitle, userPicturePath }) => {
     dispatch(setFriends({ friends: data }));
   };
 
+  const updateRequest = async (url, method) => {
+    const response = await fetch(url, {
+      method,
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) return;
+    const { incoming, outgoing, friends } = await response.json();
+    dispatch(setFriendRequests({ incoming, outgoing }));
+    dispatch(setFriends({ friends }));
+  };
+
+  const handleClick = () => {
+    if (isFriend) return patchFriend();
+    if (pendingRequest) {
+      return updateRequest(
+        `http://localhost:3001/friend-requests/${pendingRequest._id}/cancel`,
+        "PATCH"
+      );
+    }
+    return updateRequest(
+      `http://localhost:3001/friend-requests/${friendId}`,
+      "POST"
+    );
+  };
+
   return (
     <FlexBetween>
       <FlexBetween gap="1rem">
@@ -64,16 +96,27 @@ const Friend = ({ friendId, name, subtitle, userPicturePath }) => {
           </Typography>
         </Box>
       </FlexBetween>
-      <IconButton
-        onClick={() => patchFriend()}
-        sx={{ backgroundColor: primaryLight, p: "0.6rem" }}
-      >
-        {isFriend ? (
-          <PersonRemoveOutlined sx={{ color: primaryDark }} />
-        ) : (
-          <PersonAddOutlined sx={{ color: primaryDark }} />
-        )}
-      </IconButton>
+      {!isSelf && (
+        <IconButton
+          onClick={handleClick}
+          title={
+            isFriend
+              ? "Remove friend"
+              : pendingRequest
+              ? "Cancel friend request"
+              : "Add friend"
+          }
+          sx={{ backgroundColor: primaryLight, p: "0.6rem" }}
+        >
+          {isFriend ? (
+            <PersonRemoveOutlined sx={{ color: primaryDark }} />
+          ) : pendingRequest ? (
+            <HourglassTopOutlined sx={{ color: primaryDark }} />
+          ) : (
+            <PersonAddOutlined sx={{ color: primaryDark }} />
+          )}
+        </IconButton>
+      )}
     </FlexBetween>
   );
 };
@@ -0,0 +1,89 @@
+import { Box, Typography, useTheme } from "@mui/material";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { setUnreadNotifications } from "state";
+import UserImage from "./UserImage";
+
+const MESSAGES = {
+  like: "liked your post.",
+  comment: "commented on a post.",
+  friendRequest: "sent you a friend request.",
+  friendAccept: "accepted your friend request.",
+};
+
+const NotificationItem = ({ notification, onRead }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const loggedInUserId = useSelector((state) => state.user._id);
+
+  const {
+    _id,
+    type,
+    read,
+    actorId,
+    actorFirstName,
+    actorLastName,
+    actorPicturePath,
+    createdAt,
+  } = notification;
+
+  const markRead = async () => {
+    if (read) return;
+    const response = await fetch(
+      `http://localhost:3001/notifications/${_id}/read`,
+      {
+        method: "PATCH",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    const data = await response.json();
+    dispatch(setUnreadNotifications({ unreadCount: data.unreadCount }));
+    if (onRead) onRead(data.notification);
+  };
+
+  const handleClick = async () => {
+    await markRead();
+    if (type === "friendRequest") {
+      navigate("/home");
+    } else if (type === "friendAccept") {
+      navigate(`/profile/${actorId}`);
+    } else {
+      navigate(`/profile/${loggedInUserId}`);
+    }
+  };
+
+  return (
+    <Box
+      display="flex"
+      alignItems="center"
+      gap="0.75rem"
+      p="0.5rem"
+      borderRadius="0.5rem"
+      onClick={handleClick}
+      sx={{
+        backgroundColor: read ? undefined : palette.primary.light,
+        "&:hover": {
+          cursor: "pointer",
+          backgroundColor: palette.neutral.light,
+        },
+      }}
+    >
+      <UserImage image={actorPicturePath} size="40px" />
+      <Box>
+        <Typography color={palette.neutral.main}>
+          <b>
+            {actorFirstName} {actorLastName}
+          </b>{" "}
+          {MESSAGES[type]}
+        </Typography>
+        <Typography color={palette.neutral.medium} fontSize="0.75rem">
+          {new Date(createdAt).toLocaleString()}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+export default NotificationItem;
@@ -0,0 +1,41 @@
+import { Box, Button, Typography, useTheme } from "@mui/material";
+import { useState } from "react";
+import { useSelector } from "react-redux";
+
+// shown to signed-in users until they follow their verification link
+const VerifyEmailBanner = () => {
+  const [isSent, setIsSent] = useState(false);
+  const { palette } = useTheme();
+  const user = useSelector((state) => state.user);
+  const token = useSelector((state) => state.token);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const resend = async () => {
+    const response = await fetch("http://localhost:3001/auth/verify/resend", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (response.ok) setIsSent(true);
+  };
+
+  return (
+    <Box
+      display="flex"
+      alignItems="center"
+      justifyContent="center"
+      gap="1rem"
+      p="0.5rem 6%"
+      backgroundColor={palette.primary.light}
+    >
+      <Typography color={palette.neutral.dark}>
+        Please confirm {user.email} using the link we emailed you.
+      </Typography>
+      <Button size="small" onClick={resend} disabled={isSent}>
+        {isSent ? "Email sent" : "Resend email"}
+      </Button>
+    </Box>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,34 @@
+import { useDispatch, useSelector } from "react-redux";
+import { setBlockState } from "state";
+
+// block and mute actions for the logged in user, kept in sync with the store
+const useBlocking = () => {
+  const dispatch = useDispatch();
+  const token = useSelector((state) => state.token);
+  const { _id, blocked = [], muted = [] } = useSelector((state) => state.user);
+
+  const update = async (list, targetId, method) => {
+    const response = await fetch(
+      `http://localhost:3001/users/${_id}/${list}/${targetId}`,
+      {
+        method,
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    if (!response.ok) return false;
+    const { blocked, muted } = await response.json();
+    dispatch(setBlockState({ blocked, muted }));
+    return true;
+  };
+
+  return {
+    blocked,
+    muted,
+    block: (targetId) => update("blocks", targetId, "POST"),
+    unblock: (targetId) => update("blocks", targetId, "DELETE"),
+    mute: (targetId) => update("mutes", targetId, "POST"),
+    unmute: (targetId) => update("mutes", targetId, "DELETE"),
+  };
+};
+
+export default useBlocking;
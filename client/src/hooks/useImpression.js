@@ -0,0 +1,43 @@
+import { useEffect, useRef } from "react";
+import { useSelector } from "react-redux";
+import { trackImpression } from "utils/impressions";
+
+// share of the element that must be on screen, and for how long
+const VISIBLE_RATIO = 0.5;
+const VISIBLE_MS = 1000;
+
+// reports postId once per mount after ref has been on screen long enough
+const useImpression = (ref, postId, enabled = true) => {
+  const token = useSelector((state) => state.token);
+  // read at report time so a refreshed token is picked up
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!enabled || !element) return;
+
+    let timeout = null;
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.intersectionRatio >= VISIBLE_RATIO) {
+          timeout = setTimeout(() => {
+            trackImpression(postId, tokenRef.current);
+            observer.disconnect();
+          }, VISIBLE_MS);
+        } else {
+          clearTimeout(timeout);
+        }
+      },
+      { threshold: VISIBLE_RATIO }
+    );
+    observer.observe(element);
+
+    return () => {
+      clearTimeout(timeout);
+      observer.disconnect();
+    };
+  }, [postId, enabled]); // eslint-disable-line react-hooks/exhaustive-deps
+};
+
+export default useImpression;
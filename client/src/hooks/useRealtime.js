@@ -0,0 +1,76 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector, useStore } from "react-redux";
+import { addPost, setPost } from "state";
+
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// new posts go on top of the latest-first home feed or the author's profile;
+// the ranked feed and search results are left alone since the server orders
+// and picks those
+const belongsInPosts = (post, source) => {
+  if (!source || "search" in source) return false;
+  if (source.profileId) return source.profileId === post.userId;
+  return source.feed === "latest";
+};
+
+const useRealtime = () => {
+  const dispatch = useDispatch();
+  const store = useStore();
+  const isAuth = Boolean(useSelector((state) => state.token));
+
+  useEffect(() => {
+    if (!isAuth) return;
+
+    let socket;
+    let retryTimeout;
+    let retries = 0;
+    let closed = false;
+
+    const handleEvent = ({ type, post }) => {
+      if (type === "post-created") {
+        const { postsSource, user } = store.getState();
+        if (!belongsInPosts(post, postsSource)) return;
+        // the server filters these too; this covers lists changed since
+        const { blocked = [], muted = [] } = user;
+        if ([...blocked, ...muted].includes(post.userId)) return;
+        dispatch(addPost({ post }));
+      } else if (type === "post-liked" || type === "comment-added") {
+        dispatch(setPost({ post }));
+      }
+    };
+
+    const connect = () => {
+      // read the token at connect time so reconnects use the refreshed one
+      const { token } = store.getState();
+      if (!token) return;
+      socket = new WebSocket(
+        `ws://localhost:3001/ws?token=${encodeURIComponent(token)}`
+      );
+      socket.onopen = () => {
+        retries = 0;
+      };
+      socket.onmessage = (message) => {
+        try {
+          handleEvent(JSON.parse(message.data));
+        } catch (err) {
+          console.error("bad realtime event", err);
+        }
+      };
+      socket.onclose = () => {
+        if (closed) return;
+        const delay = Math.min(1000 * 2 ** retries, MAX_RETRY_DELAY_MS);
+        retries += 1;
+        retryTimeout = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimeout);
+      if (socket) socket.close();
+    };
+  }, [isAuth, dispatch, store]);
+};
+
+export default useRealtime;
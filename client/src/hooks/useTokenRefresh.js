@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector, useStore } from "react-redux";
+import { setLogout, setToken } from "state";
+
+// renew this long before the access token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// every tab shares the refresh cookie, so one tab refreshes for all of them
+const channel = window.BroadcastChannel ? new BroadcastChannel("auth") : null;
+// the last renewal, read under the lock since a broadcast can arrive late
+const RENEWAL_KEY = "auth:renewal";
+
+const getExpiry = (token) => {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(window.atob(payload)).exp * 1000;
+  } catch (err) {
+    return 0;
+  }
+};
+
+const isExpiring = (token) =>
+  getExpiry(token) - Date.now() <= REFRESH_MARGIN_MS;
+
+// the token another tab renewed this one's into, if any
+const getRenewal = (token) => {
+  try {
+    const renewal = JSON.parse(window.localStorage.getItem(RENEWAL_KEY));
+    return renewal && renewal.previous === token ? renewal.token : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const withRefreshLock = (callback) =>
+  navigator.locks
+    ? navigator.locks.request("token-refresh", callback)
+    : callback();
+
+// returns false while a token that had already expired on load is renewed,
+// so that nothing is requested with it in the meantime
+const useTokenRefresh = () => {
+  const dispatch = useDispatch();
+  const store = useStore();
+  const token = useSelector((state) => state.token);
+  const [isReady, setIsReady] = useState(() => !token || !isExpiring(token));
+
+  useEffect(() => {
+    if (!channel) return;
+    const onMessage = ({ data }) => dispatch(setToken({ token: data.token }));
+    channel.addEventListener("message", onMessage);
+    return () => channel.removeEventListener("message", onMessage);
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const refresh = async () => {
+      // another tab may have renewed the token while this one waited
+      if (store.getState().token !== token) return;
+      const renewed = getRenewal(token);
+      if (renewed) {
+        dispatch(setToken({ token: renewed }));
+        return;
+      }
+
+      const response = await fetch("http://localhost:3001/auth/refresh", {
+        method: "POST",
+        credentials: "include",
+      });
+      if (!response.ok) {
+        dispatch(setLogout());
+        return;
+      }
+      const { token: newToken } = await response.json();
+      window.localStorage.setItem(
+        RENEWAL_KEY,
+        JSON.stringify({ previous: token, token: newToken })
+      );
+      dispatch(setToken({ token: newToken }));
+      if (channel) channel.postMessage({ token: newToken });
+    };
+
+    const delay = getExpiry(token) - Date.now() - REFRESH_MARGIN_MS;
+    const timeout = setTimeout(
+      () => withRefreshLock(refresh).finally(() => setIsReady(true)),
+      Math.max(delay, 0)
+    );
+    return () => clearTimeout(timeout);
+  }, [token, dispatch, store]);
+
+  return isReady;
+};
+
+export default useTokenRefresh;
@@ -0,0 +1,51 @@
+import { Box, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+
+const WIDTH = 300;
+const HEIGHT = 80;
+
+// a small area chart of points[*][field] with the first and last day below
+const TrendChart = ({ points, field, color }) => {
+  const { palette } = useTheme();
+  const values = points.map((point) => point[field]);
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? WIDTH / (values.length - 1) : WIDTH;
+  const coordinates = values.map(
+    (value, i) => `${i * step},${HEIGHT - (value / max) * HEIGHT}`
+  );
+
+  return (
+    <Box>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        preserveAspectRatio="none"
+        width="100%"
+        height={HEIGHT}
+        role="img"
+      >
+        <polygon
+          points={`0,${HEIGHT} ${coordinates.join(" ")} ${WIDTH},${HEIGHT}`}
+          fill={color}
+          fillOpacity={0.15}
+        />
+        <polyline
+          points={coordinates.join(" ")}
+          fill="none"
+          stroke={color}
+          strokeWidth={2}
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+      <FlexBetween>
+        <Typography fontSize="0.75rem" color={palette.neutral.medium}>
+          {points.length ? points[0].day : ""}
+        </Typography>
+        <Typography fontSize="0.75rem" color={palette.neutral.medium}>
+          {points.length ? points[points.length - 1].day : ""}
+        </Typography>
+      </FlexBetween>
+    </Box>
+  );
+};
+
+export default TrendChart;
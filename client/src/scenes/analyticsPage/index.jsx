@@ -0,0 +1,158 @@
+import {
+  Box,
+  Divider,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import Navbar from "scenes/navbar";
+import TrendChart from "./TrendChart";
+
+const RANGES = [7, 30, 90];
+const METRICS = [
+  { field: "views", label: "Profile views" },
+  { field: "impressions", label: "Post impressions" },
+  { field: "likes", label: "Likes" },
+  { field: "comments", label: "Comments" },
+];
+
+const AnalyticsPage = () => {
+  const [range, setRange] = useState(RANGES[0]);
+  const [analytics, setAnalytics] = useState(null);
+  const isNonMobileScreens = useMediaQuery("(min-width:1000px)");
+  const { palette } = useTheme();
+  const { _id } = useSelector((state) => state.user);
+  const token = useSelector((state) => state.token);
+  const dark = palette.neutral.dark;
+  const medium = palette.neutral.medium;
+  const primary = palette.primary.main;
+
+  useEffect(() => {
+    let ignore = false;
+    const getAnalytics = async () => {
+      const response = await fetch(
+        `http://localhost:3001/users/${_id}/analytics?range=${range}`,
+        {
+          method: "GET",
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      const data = await response.json();
+      if (!ignore && response.ok) setAnalytics(data);
+    };
+    getAnalytics();
+    return () => {
+      ignore = true;
+    };
+  }, [range]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const followers = analytics ? analytics.followers : [];
+  const gained = followers.reduce((sum, point) => sum + point.gained, 0);
+
+  return (
+    <Box>
+      <Navbar />
+      <Box width="100%" padding="2rem 6%">
+        <FlexBetween mb="1.5rem">
+          <Typography variant="h3" color={dark} fontWeight="500">
+            Analytics
+          </Typography>
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            color="primary"
+            value={range}
+            onChange={(e, value) => value && setRange(value)}
+          >
+            {RANGES.map((days) => (
+              <ToggleButton key={days} value={days}>
+                {days} days
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </FlexBetween>
+
+        {analytics && (
+          <>
+            <Box
+              display="grid"
+              gap="1.5rem"
+              gridTemplateColumns={
+                isNonMobileScreens ? "repeat(4, minmax(0, 1fr))" : "1fr"
+              }
+            >
+              {METRICS.map(({ field, label }) => (
+                <WidgetWrapper key={field}>
+                  <Typography color={medium}>{label}</Typography>
+                  <Typography variant="h3" color={dark} fontWeight="500">
+                    {analytics.totals[field]}
+                  </Typography>
+                  <TrendChart
+                    points={analytics.series}
+                    field={field}
+                    color={primary}
+                  />
+                </WidgetWrapper>
+              ))}
+            </Box>
+
+            <Box
+              display={isNonMobileScreens ? "flex" : "block"}
+              gap="1.5rem"
+              mt="1.5rem"
+            >
+              <WidgetWrapper flexBasis="40%" mb="1.5rem">
+                <Typography color={medium}>Friends</Typography>
+                <Typography variant="h3" color={dark} fontWeight="500">
+                  {followers.length ? followers[followers.length - 1].total : 0}
+                </Typography>
+                <Typography color={medium} mb="0.5rem">
+                  +{gained} in the last {analytics.range} days
+                </Typography>
+                <TrendChart points={followers} field="total" color={primary} />
+              </WidgetWrapper>
+
+              <WidgetWrapper flexBasis="60%" mb="1.5rem">
+                <Typography color={dark} fontWeight="500" mb="0.5rem">
+                  Top posts
+                </Typography>
+                {analytics.topPosts.length === 0 && (
+                  <Typography color={medium}>
+                    No activity on your posts in this period.
+                  </Typography>
+                )}
+                {analytics.topPosts.map((post, i) => (
+                  <Box key={post._id}>
+                    {i > 0 && <Divider />}
+                    <FlexBetween gap="1rem" p="0.75rem 0">
+                      <Box minWidth={0}>
+                        <Typography color={dark} noWrap>
+                          {post.description || "(no caption)"}
+                        </Typography>
+                        <Typography fontSize="0.75rem" color={medium}>
+                          {new Date(post.createdAt).toLocaleDateString()}
+                        </Typography>
+                      </Box>
+                      <Typography color={medium} whiteSpace="nowrap">
+                        {post.impressions} impressions · {post.likes} likes ·{" "}
+                        {post.comments} comments
+                      </Typography>
+                    </FlexBetween>
+                  </Box>
+                ))}
+              </WidgetWrapper>
+            </Box>
+          </>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default AnalyticsPage;
@@ -0,0 +1,92 @@
+import { Button, TextField, Typography, useTheme } from "@mui/material";
+import { Formik } from "formik";
+import * as yup from "yup";
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import AuthLayout from "scenes/loginPage/AuthLayout";
+
+const forgotSchema = yup.object().shape({
+  email: yup.string().email("invalid email").required("required"),
+});
+
+const ForgotPasswordPage = () => {
+  const [message, setMessage] = useState("");
+  const { palette } = useTheme();
+  const navigate = useNavigate();
+
+  const handleFormSubmit = async (values) => {
+    const response = await fetch("http://localhost:3001/auth/forgot", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(values),
+    });
+    const data = await response.json();
+    setMessage(data.msg || data.error);
+  };
+
+  return (
+    <AuthLayout title="Forgot your password?">
+      <Formik
+        onSubmit={handleFormSubmit}
+        initialValues={{ email: "" }}
+        validationSchema={forgotSchema}
+      >
+        {({
+          values,
+          errors,
+          touched,
+          handleBlur,
+          handleChange,
+          handleSubmit,
+          isSubmitting,
+        }) => (
+          <form onSubmit={handleSubmit}>
+            <Typography mb="1rem">
+              Enter your account's email and we'll send you a reset link.
+            </Typography>
+            <TextField
+              fullWidth
+              label="Email"
+              onBlur={handleBlur}
+              onChange={handleChange}
+              value={values.email}
+              name="email"
+              error={Boolean(touched.email) && Boolean(errors.email)}
+              helperText={touched.email && errors.email}
+            />
+            {message && <Typography mt="1rem">{message}</Typography>}
+            <Button
+              fullWidth
+              type="submit"
+              disabled={isSubmitting}
+              sx={{
+                m: "2rem 0",
+                p: "1rem",
+                backgroundColor: palette.primary.main,
+                color: palette.background.alt,
+                "&:hover": { color: palette.primary.main },
+              }}
+            >
+              SEND RESET LINK
+            </Button>
+            <Typography
+              onClick={() => navigate("/")}
+              sx={{
+                textDecoration: "underline",
+                color: palette.primary.main,
+                "&:hover": {
+                  cursor: "pointer",
+                  color: palette.primary.light,
+                },
+              }}
+            >
+              Back to login.
+            </Typography>
+          </form>
+        )}
+      </Formik>
+    </AuthLayout>
+  );
+};
+
+export default ForgotPasswordPage;
@@ -1,15 +1,25 @@
-import { Box, useMediaQuery } from "@mui/material";
-import { useSelector } from "react-redux";
+import {
+  Box,
+  ToggleButton,
+  ToggleButtonGroup,
+  useMediaQuery,
+} from "@mui/material";
+import { useDispatch, useSelector } from "react-redux";
+import { setFeedMode } from "state";
 import Navbar from "scenes/navbar";
 import UserWidget from "scenes/widgets/UserWidget";
 import MyPostWidget from "scenes/widgets/MyPostWidget";
 import PostsWidget from "scenes/widgets/PostsWidget";
 import AdvertWidget from "scenes/widgets/AdvertWidget";
 import FriendListWidget from "scenes/widgets/FriendListWidget";
+import FriendRequestsWidget from "scenes/widgets/FriendRequestsWidget";
+import SuggestionsWidget from "scenes/widgets/SuggestionsWidget";
 
 const HomePage = () => {
   const isNonMobileScreens = useMediaQuery("(min-width:1000px)");
+  const dispatch = useDispatch();
   const { _id, picturePath } = useSelector((state) => state.user);
+  const feedMode = useSelector((state) => state.feedMode);
 
   return (
     <Box>
@@ -29,13 +39,28 @@ const HomePage = () => {
           mt={isNonMobileScreens ? undefined : "2rem"}
         >
           <MyPostWidget picturePath={picturePath} />
-          <PostsWidget userId={_id} />
+          <ToggleButtonGroup
+            exclusive
+            size="small"
+            color="primary"
+            value={feedMode}
+            onChange={(e, value) =>
+              value && dispatch(setFeedMode({ feedMode: value }))
+            }
+            sx={{ mt: "2rem" }}
+          >
+            <ToggleButton value="ranked">Top</ToggleButton>
+            <ToggleButton value="latest">Latest</ToggleButton>
+          </ToggleButtonGroup>
+          <PostsWidget userId={_id} mode={feedMode} />
         </Box>
         {isNonMobileScreens && (
           <Box flexBasis="26%">
             <AdvertWidget />
             <Box m="2rem 0" />
+            <FriendRequestsWidget />
             <FriendListWidget userId={_id} />
+            <SuggestionsWidget userId={_id} />
           </Box>
         )}
       </Box>
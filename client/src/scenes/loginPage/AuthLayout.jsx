@@ -0,0 +1,36 @@
+import { Box, Typography, useTheme, useMediaQuery } from "@mui/material";
+
+// the header and card shared by the signed-out pages
+const AuthLayout = ({ title, children }) => {
+  const theme = useTheme();
+  const isNonMobileScreens = useMediaQuery("(min-width: 1000px)");
+  return (
+    <Box>
+      <Box
+        width="100%"
+        backgroundColor={theme.palette.background.alt}
+        p="1rem 6%"
+        textAlign="center"
+      >
+        <Typography fontWeight="bold" fontSize="32px" color="primary">
+          Sociopedia
+        </Typography>
+      </Box>
+
+      <Box
+        width={isNonMobileScreens ? "50%" : "93%"}
+        p="2rem"
+        m="2rem auto"
+        borderRadius="1.5rem"
+        backgroundColor={theme.palette.background.alt}
+      >
+        <Typography fontWeight="500" variant="h5" sx={{ mb: "1.5rem" }}>
+          {title}
+        </Typography>
+        {children}
+      </Box>
+    </Box>
+  );
+};
+
+export default AuthLayout;
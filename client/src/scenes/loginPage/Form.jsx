@@ -15,6 +15,7 @@ import { useDispatch } from "react-redux";
 import { setLogin } from "state";
 import Dropzone from "react-dropzone";
 import FlexBetween from "components/FlexBetween";
+import TwoFactorStep from "./TwoFactorStep";
 
 const registerSchema = yup.object().shape({
   firstName: yup.string().required("required"),
@@ -48,6 +49,8 @@ const initialValuesLogin = {
 
 const Form = () => {
   const [pageType, setPageType] = useState("login");
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [loginError, setLoginError] = useState("");
   const { palette } = useTheme();
   const dispatch = useDispatch();
   const navigate = useNavigate();
@@ -61,7 +64,6 @@ const Form = () => {
     for (let value in values) {
       formData.append(value, values[value]);
     }
-    formData.append("picturePath", values.picture.name);
 
     const savedUserResponse = await fetch(
       "http://localhost:3001/auth/register",
@@ -82,19 +84,31 @@ const Form = () => {
     const loggedInResponse = await fetch("http://localhost:3001/auth/login", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
+      credentials: "include",
       body: JSON.stringify(values),
     });
     const loggedIn = await loggedInResponse.json();
     onSubmitProps.resetForm();
-    if (loggedIn) {
-      dispatch(
-        setLogin({
-          user: loggedIn.user,
-          token: loggedIn.token,
-        })
-      );
-      navigate("/home");
+    if (!loggedInResponse.ok) {
+      setLoginError(loggedIn.msg || loggedIn.message || loggedIn.error);
+      return;
     }
+    setLoginError("");
+    if (loggedIn.twoFactorRequired) {
+      setChallengeToken(loggedIn.challengeToken);
+      return;
+    }
+    completeLogin(loggedIn);
+  };
+
+  const completeLogin = (loggedIn) => {
+    dispatch(
+      setLogin({
+        user: loggedIn.user,
+        token: loggedIn.token,
+      })
+    );
+    navigate("/home");
   };
 
   const handleFormSubmit = async (values, onSubmitProps) => {
@@ -102,6 +116,16 @@ const Form = () => {
     if (isRegister) await register(values, onSubmitProps);
   };
 
+  if (challengeToken) {
+    return (
+      <TwoFactorStep
+        challengeToken={challengeToken}
+        onLogin={completeLogin}
+        onCancel={() => setChallengeToken(null)}
+      />
+    );
+  }
+
   return (
     <Formik
       onSubmit={handleFormSubmit}
@@ -234,6 +258,11 @@ const Form = () => {
 
           {/* BUTTONS */}
           <Box>
+            {isLogin && loginError && (
+              <Typography color="error" mt="1rem">
+                {loginError}
+              </Typography>
+            )}
             <Button
               fullWidth
               type="submit"
@@ -265,6 +294,22 @@ const Form = () => {
                 ? "Don't have an account? Sign Up here."
                 : "Already have an account? Login here."}
             </Typography>
+            {isLogin && (
+              <Typography
+                onClick={() => navigate("/forgot-password")}
+                sx={{
+                  mt: "0.5rem",
+                  textDecoration: "underline",
+                  color: palette.primary.main,
+                  "&:hover": {
+                    cursor: "pointer",
+                    color: palette.primary.light,
+                  },
+                }}
+              >
+                Forgot your password?
+              </Typography>
+            )}
           </Box>
         </form>
       )}
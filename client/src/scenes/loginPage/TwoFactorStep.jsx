@@ -0,0 +1,80 @@
+import { Box, Button, TextField, Typography, useTheme } from "@mui/material";
+import { useState } from "react";
+
+// second login step: a code from the authenticator app or a recovery code
+const TwoFactorStep = ({ challengeToken, onLogin, onCancel }) => {
+  const [code, setCode] = useState("");
+  const [error, setError] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { palette } = useTheme();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const response = await fetch("http://localhost:3001/auth/2fa", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({ challengeToken, code }),
+    });
+    const data = await response.json();
+    setIsSubmitting(false);
+    if (!response.ok) {
+      setError(data.msg || data.error);
+      // an expired challenge cannot be retried, start over
+      if (response.status === 401) onCancel();
+      return;
+    }
+    onLogin(data);
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <Typography mb="1rem">
+        Enter the 6-digit code from your authenticator app, or one of your
+        recovery codes.
+      </Typography>
+      <TextField
+        fullWidth
+        autoFocus
+        label="Code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        inputProps={{ autoComplete: "one-time-code" }}
+        error={Boolean(error)}
+        helperText={error}
+      />
+      <Box>
+        <Button
+          fullWidth
+          type="submit"
+          disabled={isSubmitting || !code.trim()}
+          sx={{
+            m: "2rem 0",
+            p: "1rem",
+            backgroundColor: palette.primary.main,
+            color: palette.background.alt,
+            "&:hover": { color: palette.primary.main },
+          }}
+        >
+          VERIFY
+        </Button>
+        <Typography
+          onClick={onCancel}
+          sx={{
+            textDecoration: "underline",
+            color: palette.primary.main,
+            "&:hover": {
+              cursor: "pointer",
+              color: palette.primary.light,
+            },
+          }}
+        >
+          Back to login.
+        </Typography>
+      </Box>
+    </form>
+  );
+};
+
+export default TwoFactorStep;
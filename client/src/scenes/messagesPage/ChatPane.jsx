@@ -0,0 +1,178 @@
+import { Box, Button, InputBase, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import UserImage from "components/UserImage";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useRef, useState } from "react";
+import { useSelector } from "react-redux";
+
+// how often to check the open conversation for new messages
+const POLL_INTERVAL_MS = 10 * 1000;
+
+const ChatPane = ({ conversation, onActivity }) => {
+  const [messages, setMessages] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [text, setText] = useState("");
+  const bottomRef = useRef(null);
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const loggedInUserId = useSelector((state) => state.user._id);
+  const { _id: conversationId, user } = conversation;
+
+  const fetchPage = async (cursor = null) => {
+    const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : "";
+    const response = await fetch(
+      `http://localhost:3001/conversations/${conversationId}/messages${params}`,
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    return response.json();
+  };
+
+  const markRead = async () => {
+    await fetch(`http://localhost:3001/conversations/${conversationId}/read`, {
+      method: "PATCH",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    onActivity();
+  };
+
+  const getLatest = async () => {
+    const data = await fetchPage();
+    const latest = [...data.messages].reverse();
+    setMessages((loaded) => {
+      const latestIds = new Set(latest.map((message) => message._id));
+      return [
+        ...loaded.filter((message) => !latestIds.has(message._id)),
+        ...latest,
+      ];
+    });
+    setNextCursor((cursor) => cursor || data.nextCursor);
+    if (
+      data.messages.some(
+        (message) => message.senderId !== loggedInUserId && !message.readAt
+      )
+    ) {
+      markRead();
+    }
+  };
+
+  const getEarlier = async () => {
+    const data = await fetchPage(nextCursor);
+    setMessages((loaded) => [...[...data.messages].reverse(), ...loaded]);
+    setNextCursor(data.nextCursor);
+  };
+
+  const sendMessage = async () => {
+    const response = await fetch(
+      `http://localhost:3001/conversations/${conversationId}/messages`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ text }),
+      }
+    );
+    const message = await response.json();
+    setMessages((loaded) => [...loaded, message]);
+    setText("");
+    onActivity();
+  };
+
+  useEffect(() => {
+    setMessages([]);
+    setNextCursor(null);
+    getLatest();
+    const interval = setInterval(getLatest, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [conversationId]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (bottomRef.current) bottomRef.current.scrollIntoView();
+  }, [messages.length]);
+
+  const lastOwnMessage = [...messages]
+    .reverse()
+    .find((message) => message.senderId === loggedInUserId);
+
+  return (
+    <WidgetWrapper display="flex" flexDirection="column" height="75vh">
+      <FlexBetween justifyContent="flex-start" gap="1rem" pb="1rem">
+        <UserImage image={user && user.picturePath} size="40px" />
+        <Typography variant="h5" fontWeight="500">
+          {user ? `${user.firstName} ${user.lastName}` : "Unknown user"}
+        </Typography>
+      </FlexBetween>
+      <Box flexGrow={1} overflow="auto" display="flex" flexDirection="column">
+        {nextCursor && (
+          <Button size="small" onClick={getEarlier}>
+            Load earlier messages
+          </Button>
+        )}
+        {messages.map((message) => {
+          const isOwn = message.senderId === loggedInUserId;
+          return (
+            <Box
+              key={message._id}
+              alignSelf={isOwn ? "flex-end" : "flex-start"}
+              maxWidth="75%"
+              m="0.25rem 0"
+            >
+              <Typography
+                sx={{
+                  p: "0.5rem 1rem",
+                  borderRadius: "1rem",
+                  backgroundColor: isOwn
+                    ? palette.primary.light
+                    : palette.neutral.light,
+                }}
+              >
+                {message.text}
+              </Typography>
+              {message === lastOwnMessage && message.readAt && (
+                <Typography
+                  color={palette.neutral.medium}
+                  fontSize="0.7rem"
+                  textAlign="right"
+                >
+                  Seen {new Date(message.readAt).toLocaleTimeString()}
+                </Typography>
+              )}
+            </Box>
+          );
+        })}
+        <div ref={bottomRef} />
+      </Box>
+      <FlexBetween gap="1rem" pt="1rem">
+        <InputBase
+          placeholder="Write a message..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && text.trim() && sendMessage()}
+          sx={{
+            width: "100%",
+            backgroundColor: palette.neutral.light,
+            borderRadius: "2rem",
+            padding: "0.5rem 1.5rem",
+          }}
+        />
+        <Button
+          disabled={!text.trim()}
+          onClick={sendMessage}
+          sx={{
+            color: palette.background.alt,
+            backgroundColor: palette.primary.main,
+            borderRadius: "3rem",
+          }}
+        >
+          SEND
+        </Button>
+      </FlexBetween>
+    </WidgetWrapper>
+  );
+};
+
+export default ChatPane;
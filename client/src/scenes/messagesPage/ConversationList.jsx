@@ -0,0 +1,91 @@
+import {
+  Badge,
+  Box,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import UserImage from "components/UserImage";
+import WidgetWrapper from "components/WidgetWrapper";
+
+const ConversationList = ({
+  conversations,
+  friends,
+  selectedId,
+  onSelect,
+  onStart,
+}) => {
+  const { palette } = useTheme();
+  const main = palette.neutral.main;
+  const medium = palette.neutral.medium;
+
+  return (
+    <WidgetWrapper>
+      <Typography
+        color={palette.neutral.dark}
+        variant="h5"
+        fontWeight="500"
+        sx={{ mb: "1rem" }}
+      >
+        Messages
+      </Typography>
+      <FormControl fullWidth size="small" sx={{ mb: "1rem" }}>
+        <InputLabel>Message a friend</InputLabel>
+        <Select
+          label="Message a friend"
+          value=""
+          onChange={(e) => onStart(e.target.value)}
+        >
+          {friends.map((friend) => (
+            <MenuItem key={friend._id} value={friend._id}>
+              {friend.firstName} {friend.lastName}
+            </MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+      {conversations.length === 0 && (
+        <Typography color={medium} m="1rem 0">
+          No conversations yet.
+        </Typography>
+      )}
+      <Box display="flex" flexDirection="column" gap="0.25rem" pb="0.75rem">
+        {conversations.map(({ _id, user, lastMessage, unreadCount }) => (
+          <Box
+            key={_id}
+            display="flex"
+            alignItems="center"
+            gap="0.75rem"
+            p="0.5rem"
+            borderRadius="0.5rem"
+            onClick={() => onSelect(_id)}
+            sx={{
+              backgroundColor:
+                _id === selectedId ? palette.neutral.light : undefined,
+              "&:hover": {
+                cursor: "pointer",
+                backgroundColor: palette.neutral.light,
+              },
+            }}
+          >
+            <Badge badgeContent={unreadCount} color="error">
+              <UserImage image={user && user.picturePath} size="40px" />
+            </Badge>
+            <Box overflow="hidden">
+              <Typography color={main} fontWeight="500">
+                {user ? `${user.firstName} ${user.lastName}` : "Unknown user"}
+              </Typography>
+              <Typography color={medium} fontSize="0.75rem" noWrap>
+                {lastMessage && lastMessage.text}
+              </Typography>
+            </Box>
+          </Box>
+        ))}
+      </Box>
+    </WidgetWrapper>
+  );
+};
+
+export default ConversationList;
@@ -0,0 +1,91 @@
+import { Box, Typography, useMediaQuery, useTheme } from "@mui/material";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import Navbar from "scenes/navbar";
+import ChatPane from "./ChatPane";
+import ConversationList from "./ConversationList";
+
+const MessagesPage = () => {
+  const [conversations, setConversations] = useState([]);
+  const [friends, setFriends] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const { palette } = useTheme();
+  const isNonMobileScreens = useMediaQuery("(min-width:1000px)");
+  const token = useSelector((state) => state.token);
+  const { _id } = useSelector((state) => state.user);
+
+  const getConversations = async () => {
+    const response = await fetch("http://localhost:3001/conversations", {
+      method: "GET",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    setConversations(await response.json());
+  };
+
+  const getFriends = async () => {
+    const response = await fetch(`http://localhost:3001/users/${_id}/friends`, {
+      method: "GET",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    setFriends(await response.json());
+  };
+
+  const startConversation = async (userId) => {
+    const response = await fetch("http://localhost:3001/conversations", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ userId }),
+    });
+    if (!response.ok) return;
+    const conversation = await response.json();
+    await getConversations();
+    setSelectedId(conversation._id);
+  };
+
+  useEffect(() => {
+    getConversations();
+    getFriends();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const selected = conversations.find((c) => c._id === selectedId);
+
+  return (
+    <Box>
+      <Navbar />
+      <Box
+        width="100%"
+        padding="2rem 6%"
+        display={isNonMobileScreens ? "flex" : "block"}
+        gap="2rem"
+        justifyContent="center"
+      >
+        <Box flexBasis={isNonMobileScreens ? "30%" : undefined} mb="2rem">
+          <ConversationList
+            conversations={conversations}
+            friends={friends}
+            selectedId={selectedId}
+            onSelect={setSelectedId}
+            onStart={startConversation}
+          />
+        </Box>
+        <Box flexBasis={isNonMobileScreens ? "55%" : undefined}>
+          {selected ? (
+            <ChatPane conversation={selected} onActivity={getConversations} />
+          ) : (
+            <WidgetWrapper>
+              <Typography color={palette.neutral.medium} pb="0.75rem">
+                Select a conversation to start chatting.
+              </Typography>
+            </WidgetWrapper>
+          )}
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default MessagesPage;
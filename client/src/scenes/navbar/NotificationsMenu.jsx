@@ -0,0 +1,111 @@
+import { Notifications } from "@mui/icons-material";
+import {
+  Badge,
+  Box,
+  Button,
+  IconButton,
+  Popover,
+  Typography,
+} from "@mui/material";
+import NotificationItem from "components/NotificationItem";
+import FlexBetween from "components/FlexBetween";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { setUnreadNotifications } from "state";
+
+// how often to check for new notifications while the page is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const NotificationsMenu = () => {
+  const [anchor, setAnchor] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const token = useSelector((state) => state.token);
+  const unreadCount = useSelector((state) => state.unreadNotifications);
+
+  const getNotifications = async () => {
+    const response = await fetch(
+      "http://localhost:3001/notifications?limit=8",
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    if (!response.ok) return;
+    const data = await response.json();
+    setNotifications(data.notifications);
+    dispatch(setUnreadNotifications({ unreadCount: data.unreadCount }));
+  };
+
+  const markAllRead = async () => {
+    await fetch("http://localhost:3001/notifications/read-all", {
+      method: "PATCH",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    setNotifications(notifications.map((n) => ({ ...n, read: true })));
+    dispatch(setUnreadNotifications({ unreadCount: 0 }));
+  };
+
+  useEffect(() => {
+    getNotifications();
+    const interval = setInterval(getNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <>
+      <IconButton
+        onClick={(e) => {
+          setAnchor(e.currentTarget);
+          getNotifications();
+        }}
+      >
+        <Badge badgeContent={unreadCount} color="error" max={99}>
+          <Notifications sx={{ fontSize: "25px" }} />
+        </Badge>
+      </IconButton>
+      <Popover
+        open={Boolean(anchor)}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+        transformOrigin={{ vertical: "top", horizontal: "right" }}
+      >
+        <Box width="360px" p="1rem">
+          <FlexBetween mb="0.5rem">
+            <Typography variant="h5" fontWeight="500">
+              Notifications
+            </Typography>
+            <Button size="small" disabled={!unreadCount} onClick={markAllRead}>
+              Mark all read
+            </Button>
+          </FlexBetween>
+          {notifications.length === 0 && (
+            <Typography m="1rem 0">You're all caught up.</Typography>
+          )}
+          {notifications.map((notification) => (
+            <NotificationItem
+              key={notification._id}
+              notification={notification}
+              onRead={() => setAnchor(null)}
+            />
+          ))}
+          <Button
+            fullWidth
+            sx={{ mt: "0.5rem" }}
+            onClick={() => {
+              setAnchor(null);
+              navigate("/notifications");
+            }}
+          >
+            See all
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationsMenu;
@@ -1,8 +1,11 @@
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import {
   Box,
   IconButton,
   InputBase,
+  List,
+  ListItemButton,
+  Paper,
   Typography,
   Select,
   MenuItem,
@@ -15,7 +18,6 @@ import {
   Message,
   DarkMode,
   LightMode,
-  Notifications,
   Help,
   Menu,
   Close,
@@ -24,12 +26,17 @@ import { useDispatch, useSelector } from "react-redux";
 import { setMode, setLogout } from "state";
 import { useNavigate } from "react-router-dom";
 import FlexBetween from "components/FlexBetween";
+import UserImage from "components/UserImage";
+import NotificationsMenu from "./NotificationsMenu";
 
 const Navbar = () => {
   const [isMobileMenuToggled, setIsMobileMenuToggled] = useState(false);
+  const [query, setQuery] = useState("");
+  const [suggestions, setSuggestions] = useState([]);
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const user = useSelector((state) => state.user);
+  const token = useSelector((state) => state.token);
   const isNonMobileScreens = useMediaQuery("(min-width: 1000px)");
 
   const theme = useTheme();
@@ -41,6 +48,39 @@ const Navbar = () => {
 
   const fullName = `${user.firstName} ${user.lastName}`;
 
+  const logout = async () => {
+    await fetch("http://localhost:3001/auth/logout", {
+      method: "POST",
+      credentials: "include",
+    });
+    dispatch(setLogout());
+  };
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setSuggestions([]);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      const response = await fetch(
+        `http://localhost:3001/search/suggest?q=${encodeURIComponent(query)}`,
+        {
+          method: "GET",
+          headers: { Authorization: `Bearer ${token}` },
+        }
+      );
+      if (response.ok) setSuggestions(await response.json());
+    }, 250);
+    return () => clearTimeout(timeout);
+  }, [query, token]);
+
+  const submitSearch = () => {
+    if (!query.trim()) return;
+    setSuggestions([]);
+    navigate(`/search?q=${encodeURIComponent(query.trim())}`);
+  };
+
   return (
     <FlexBetween padding="1rem 6%" backgroundColor={alt}>
       <FlexBetween gap="1.75rem">
@@ -59,17 +99,60 @@ const Navbar = () => {
           Sociopedia
         </Typography>
         {isNonMobileScreens && (
-          <FlexBetween
-            backgroundColor={neutralLight}
-            borderRadius="9px"
-            gap="3rem"
-            padding="0.1rem 1.5rem"
-          >
-            <InputBase placeholder="Search..." />
-            <IconButton>
-              <Search />
-            </IconButton>
-          </FlexBetween>
+          <Box position="relative">
+            <FlexBetween
+              backgroundColor={neutralLight}
+              borderRadius="9px"
+              gap="3rem"
+              padding="0.1rem 1.5rem"
+            >
+              <InputBase
+                placeholder="Search..."
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && submitSearch()}
+                onBlur={() => setTimeout(() => setSuggestions([]), 150)}
+              />
+              <IconButton onClick={submitSearch}>
+                <Search />
+              </IconButton>
+            </FlexBetween>
+            {suggestions.length > 0 && (
+              <Paper
+                sx={{
+                  position: "absolute",
+                  top: "110%",
+                  width: "100%",
+                  zIndex: 20,
+                }}
+              >
+                <List dense>
+                  {suggestions.map((suggestion) => (
+                    <ListItemButton
+                      key={suggestion._id}
+                      onClick={() => {
+                        setQuery("");
+                        setSuggestions([]);
+                        navigate(`/profile/${suggestion._id}`);
+                        navigate(0);
+                      }}
+                      sx={{ gap: "0.75rem" }}
+                    >
+                      <UserImage image={suggestion.picturePath} size="32px" />
+                      <Box>
+                        <Typography>
+                          {suggestion.firstName} {suggestion.lastName}
+                        </Typography>
+                        <Typography fontSize="0.75rem" color="text.secondary">
+                          {suggestion.occupation}
+                        </Typography>
+                      </Box>
+                    </ListItemButton>
+                  ))}
+                </List>
+              </Paper>
+            )}
+          </Box>
         )}
       </FlexBetween>
 
@@ -83,8 +166,10 @@ const Navbar = () => {
               <LightMode sx={{ color: dark, fontSize: "25px" }} />
             )}
           </IconButton>
-          <Message sx={{ fontSize: "25px" }} />
-          <Notifications sx={{ fontSize: "25px" }} />
+          <IconButton onClick={() => navigate("/messages")}>
+            <Message sx={{ fontSize: "25px" }} />
+          </IconButton>
+          <NotificationsMenu />
           <Help sx={{ fontSize: "25px" }} />
           <FormControl variant="standard" value={fullName}>
             <Select
@@ -107,7 +192,10 @@ const Navbar = () => {
               <MenuItem value={fullName}>
                 <Typography>{fullName}</Typography>
               </MenuItem>
-              <MenuItem onClick={() => dispatch(setLogout())}>Log Out</MenuItem>
+              <MenuItem onClick={() => navigate("/settings")}>
+                Settings
+              </MenuItem>
+              <MenuItem onClick={logout}>Log Out</MenuItem>
             </Select>
           </FormControl>
         </FlexBetween>
@@ -158,8 +246,10 @@ const Navbar = () => {
                 <LightMode sx={{ color: dark, fontSize: "25px" }} />
               )}
             </IconButton>
-            <Message sx={{ fontSize: "25px" }} />
-            <Notifications sx={{ fontSize: "25px" }} />
+            <IconButton onClick={() => navigate("/messages")}>
+              <Message sx={{ fontSize: "25px" }} />
+            </IconButton>
+            <NotificationsMenu />
             <Help sx={{ fontSize: "25px" }} />
             <FormControl variant="standard" value={fullName}>
               <Select
@@ -182,9 +272,10 @@ const Navbar = () => {
                 <MenuItem value={fullName}>
                   <Typography>{fullName}</Typography>
                 </MenuItem>
-                <MenuItem onClick={() => dispatch(setLogout())}>
-                  Log Out
+                <MenuItem onClick={() => navigate("/settings")}>
+                  Settings
                 </MenuItem>
+                <MenuItem onClick={logout}>Log Out</MenuItem>
               </Select>
             </FormControl>
           </FlexBetween>
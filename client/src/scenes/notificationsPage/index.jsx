@@ -0,0 +1,94 @@
+import { Box, Button, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import NotificationItem from "components/NotificationItem";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import Navbar from "scenes/navbar";
+import { setUnreadNotifications } from "state";
+
+const NotificationsPage = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const dispatch = useDispatch();
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const unreadCount = useSelector((state) => state.unreadNotifications);
+
+  const getNotifications = async (cursor = null) => {
+    const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : "";
+    const response = await fetch(
+      `http://localhost:3001/notifications${params}`,
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    const data = await response.json();
+    setNotifications(
+      cursor ? [...notifications, ...data.notifications] : data.notifications
+    );
+    setNextCursor(data.nextCursor);
+    dispatch(setUnreadNotifications({ unreadCount: data.unreadCount }));
+  };
+
+  const markAllRead = async () => {
+    await fetch("http://localhost:3001/notifications/read-all", {
+      method: "PATCH",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    setNotifications(notifications.map((n) => ({ ...n, read: true })));
+    dispatch(setUnreadNotifications({ unreadCount: 0 }));
+  };
+
+  useEffect(() => {
+    getNotifications();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <Box>
+      <Navbar />
+      <Box
+        width="100%"
+        padding="2rem 6%"
+        display="flex"
+        justifyContent="center"
+      >
+        <WidgetWrapper width="100%" maxWidth="700px">
+          <FlexBetween mb="1rem">
+            <Typography variant="h4" color={palette.neutral.dark}>
+              Notifications
+            </Typography>
+            <Button disabled={!unreadCount} onClick={markAllRead}>
+              Mark all read
+            </Button>
+          </FlexBetween>
+          {notifications.length === 0 && (
+            <Typography color={palette.neutral.medium} m="1rem 0">
+              You're all caught up.
+            </Typography>
+          )}
+          <Box display="flex" flexDirection="column" gap="0.25rem">
+            {notifications.map((notification) => (
+              <NotificationItem
+                key={notification._id}
+                notification={notification}
+              />
+            ))}
+          </Box>
+          {nextCursor && (
+            <Button
+              fullWidth
+              sx={{ m: "1rem 0" }}
+              onClick={() => getNotifications(nextCursor)}
+            >
+              Load more
+            </Button>
+          )}
+        </WidgetWrapper>
+      </Box>
+    </Box>
+  );
+};
+
+export default NotificationsPage;
@@ -0,0 +1,203 @@
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import EditOutlinedIcon from "@mui/icons-material/EditOutlined";
+import { Formik } from "formik";
+import * as yup from "yup";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import Dropzone from "react-dropzone";
+import FlexBetween from "components/FlexBetween";
+import { setPosts, setUser } from "state";
+
+const profileSchema = yup.object().shape({
+  firstName: yup.string().min(2).max(50).required("required"),
+  lastName: yup.string().min(2).max(50).required("required"),
+  location: yup.string().max(100),
+  occupation: yup.string().max(100),
+});
+
+const EditProfileDialog = ({ open, user, onClose, onSaved }) => {
+  const [error, setError] = useState("");
+  const { palette } = useTheme();
+  const dispatch = useDispatch();
+  const token = useSelector((state) => state.token);
+  const posts = useSelector((state) => state.posts);
+
+  const initialValues = {
+    firstName: user.firstName,
+    lastName: user.lastName,
+    location: user.location || "",
+    occupation: user.occupation || "",
+    picture: "",
+  };
+
+  const handleFormSubmit = async (values) => {
+    const formData = new FormData();
+    for (let value in values) {
+      if (value !== "picture") formData.append(value, values[value]);
+    }
+    if (values.picture) formData.append("picture", values.picture);
+
+    const response = await fetch(`http://localhost:3001/users/${user._id}`, {
+      method: "PATCH",
+      headers: { Authorization: `Bearer ${token}` },
+      body: formData,
+    });
+    const updatedUser = await response.json();
+    if (!response.ok) {
+      setError(updatedUser.message);
+      return;
+    }
+
+    dispatch(setUser({ user: updatedUser }));
+    dispatch(
+      setPosts({
+        posts: posts.map((post) =>
+          post.userId === updatedUser._id
+            ? {
+                ...post,
+                firstName: updatedUser.firstName,
+                lastName: updatedUser.lastName,
+                location: updatedUser.location,
+                userPicturePath: updatedUser.picturePath,
+              }
+            : post
+        ),
+      })
+    );
+    setError("");
+    onSaved(updatedUser);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <Formik
+        onSubmit={handleFormSubmit}
+        initialValues={initialValues}
+        validationSchema={profileSchema}
+        enableReinitialize
+      >
+        {({
+          values,
+          errors,
+          touched,
+          handleBlur,
+          handleChange,
+          handleSubmit,
+          setFieldValue,
+          isSubmitting,
+        }) => (
+          <form onSubmit={handleSubmit}>
+            <DialogTitle>Edit Profile</DialogTitle>
+            <DialogContent>
+              <Box
+                display="grid"
+                gap="20px"
+                gridTemplateColumns="repeat(2, minmax(0, 1fr))"
+                pt="0.5rem"
+              >
+                <TextField
+                  label="First Name"
+                  onBlur={handleBlur}
+                  onChange={handleChange}
+                  value={values.firstName}
+                  name="firstName"
+                  error={
+                    Boolean(touched.firstName) && Boolean(errors.firstName)
+                  }
+                  helperText={touched.firstName && errors.firstName}
+                />
+                <TextField
+                  label="Last Name"
+                  onBlur={handleBlur}
+                  onChange={handleChange}
+                  value={values.lastName}
+                  name="lastName"
+                  error={Boolean(touched.lastName) && Boolean(errors.lastName)}
+                  helperText={touched.lastName && errors.lastName}
+                />
+                <TextField
+                  label="Location"
+                  onBlur={handleBlur}
+                  onChange={handleChange}
+                  value={values.location}
+                  name="location"
+                  error={Boolean(touched.location) && Boolean(errors.location)}
+                  helperText={touched.location && errors.location}
+                  sx={{ gridColumn: "span 2" }}
+                />
+                <TextField
+                  label="Occupation"
+                  onBlur={handleBlur}
+                  onChange={handleChange}
+                  value={values.occupation}
+                  name="occupation"
+                  error={
+                    Boolean(touched.occupation) && Boolean(errors.occupation)
+                  }
+                  helperText={touched.occupation && errors.occupation}
+                  sx={{ gridColumn: "span 2" }}
+                />
+                <Box
+                  gridColumn="span 2"
+                  border={`1px solid ${palette.neutral.medium}`}
+                  borderRadius="5px"
+                  p="1rem"
+                >
+                  <Dropzone
+                    accept={{ "image/*": [".jpg", ".jpeg", ".png", ".webp"] }}
+                    multiple={false}
+                    onDrop={(acceptedFiles) =>
+                      setFieldValue("picture", acceptedFiles[0])
+                    }
+                  >
+                    {({ getRootProps, getInputProps }) => (
+                      <Box
+                        {...getRootProps()}
+                        border={`2px dashed ${palette.primary.main}`}
+                        p="1rem"
+                        sx={{ "&:hover": { cursor: "pointer" } }}
+                      >
+                        <input {...getInputProps()} />
+                        {!values.picture ? (
+                          <p>Drop a new profile picture here</p>
+                        ) : (
+                          <FlexBetween>
+                            <Typography>{values.picture.name}</Typography>
+                            <EditOutlinedIcon />
+                          </FlexBetween>
+                        )}
+                      </Box>
+                    )}
+                  </Dropzone>
+                </Box>
+              </Box>
+              {error && (
+                <Typography color="error" mt="1rem">
+                  {error}
+                </Typography>
+              )}
+            </DialogContent>
+            <DialogActions>
+              <Button onClick={onClose}>Cancel</Button>
+              <Button type="submit" disabled={isSubmitting}>
+                Save
+              </Button>
+            </DialogActions>
+          </form>
+        )}
+      </Formik>
+    </Dialog>
+  );
+};
+
+export default EditProfileDialog;
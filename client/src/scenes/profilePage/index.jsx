@@ -1,17 +1,22 @@
 import { Box, useMediaQuery } from "@mui/material";
 import { useEffect, useState } from "react";
 import { useSelector } from "react-redux";
-import { useParams } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import Navbar from "scenes/navbar";
 import FriendListWidget from "scenes/widgets/FriendListWidget";
 import MyPostWidget from "scenes/widgets/MyPostWidget";
 import PostsWidget from "scenes/widgets/PostsWidget";
 import UserWidget from "scenes/widgets/UserWidget";
+import EditProfileDialog from "./EditProfileDialog";
 
 const ProfilePage = () => {
   const [user, setUser] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
   const { userId } = useParams();
+  const navigate = useNavigate();
   const token = useSelector((state) => state.token);
+  const loggedInUserId = useSelector((state) => state.user._id);
+  const isOwnProfile = userId === loggedInUserId;
   const isNonMobileScreens = useMediaQuery("(min-width:1000px)");
 
   const getUser = async () => {
@@ -19,12 +24,22 @@ const ProfilePage = () => {
       method: "GET",
       headers: { Authorization: `Bearer ${token}` },
     });
+    // blocked users get the same 404 as missing ones
+    if (!response.ok) return navigate("/home");
     const data = await response.json();
     setUser(data);
   };
 
+  const recordView = async () => {
+    await fetch(`http://localhost:3001/users/${userId}/views`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+  };
+
   useEffect(() => {
     getUser();
+    if (!isOwnProfile) recordView();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
   if (!user) return null;
@@ -40,7 +55,12 @@ const ProfilePage = () => {
         justifyContent="center"
       >
         <Box flexBasis={isNonMobileScreens ? "26%" : undefined}>
-          <UserWidget userId={userId} picturePath={user.picturePath} />
+          <UserWidget
+            key={user.updatedAt}
+            userId={userId}
+            picturePath={user.picturePath}
+            onEdit={isOwnProfile ? () => setIsEditing(true) : undefined}
+          />
           <Box m="2rem 0" />
           <FriendListWidget userId={userId} />
         </Box>
@@ -53,6 +73,17 @@ const ProfilePage = () => {
           <PostsWidget userId={userId} isProfile />
         </Box>
       </Box>
+      {isOwnProfile && (
+        <EditProfileDialog
+          open={isEditing}
+          user={user}
+          onClose={() => setIsEditing(false)}
+          onSaved={(updatedUser) => {
+            setUser(updatedUser);
+            setIsEditing(false);
+          }}
+        />
+      )}
     </Box>
   );
 };
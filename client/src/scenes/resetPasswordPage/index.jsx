@@ -0,0 +1,133 @@
+import { Button, TextField, Typography, useTheme } from "@mui/material";
+import { Formik } from "formik";
+import * as yup from "yup";
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import AuthLayout from "scenes/loginPage/AuthLayout";
+import { setLogout } from "state";
+
+const resetSchema = yup.object().shape({
+  password: yup.string().min(5).required("required"),
+  confirmPassword: yup
+    .string()
+    .oneOf([yup.ref("password")], "passwords must match")
+    .required("required"),
+});
+
+const ResetPasswordPage = () => {
+  const [error, setError] = useState("");
+  const [isDone, setIsDone] = useState(false);
+  const { palette } = useTheme();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const handleFormSubmit = async ({ password }) => {
+    const response = await fetch("http://localhost:3001/auth/reset", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.msg || data.error);
+      return;
+    }
+    // every session was revoked by the reset, this one included
+    dispatch(setLogout());
+    setIsDone(true);
+  };
+
+  const linkSx = {
+    textDecoration: "underline",
+    color: palette.primary.main,
+    "&:hover": { cursor: "pointer", color: palette.primary.light },
+  };
+
+  return (
+    <AuthLayout title="Choose a new password">
+      {isDone ? (
+        <>
+          <Typography mb="1rem">Your password has been updated.</Typography>
+          <Typography onClick={() => navigate("/")} sx={linkSx}>
+            Log in with your new password.
+          </Typography>
+        </>
+      ) : (
+        <Formik
+          onSubmit={handleFormSubmit}
+          initialValues={{ password: "", confirmPassword: "" }}
+          validationSchema={resetSchema}
+        >
+          {({
+            values,
+            errors,
+            touched,
+            handleBlur,
+            handleChange,
+            handleSubmit,
+            isSubmitting,
+          }) => (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                label="New Password"
+                type="password"
+                onBlur={handleBlur}
+                onChange={handleChange}
+                value={values.password}
+                name="password"
+                error={Boolean(touched.password) && Boolean(errors.password)}
+                helperText={touched.password && errors.password}
+                sx={{ mb: "1rem" }}
+              />
+              <TextField
+                fullWidth
+                label="Confirm Password"
+                type="password"
+                onBlur={handleBlur}
+                onChange={handleChange}
+                value={values.confirmPassword}
+                name="confirmPassword"
+                error={
+                  Boolean(touched.confirmPassword) &&
+                  Boolean(errors.confirmPassword)
+                }
+                helperText={touched.confirmPassword && errors.confirmPassword}
+              />
+              {error && (
+                <Typography color="error" mt="1rem">
+                  {error}
+                </Typography>
+              )}
+              <Button
+                fullWidth
+                type="submit"
+                disabled={isSubmitting || !token}
+                sx={{
+                  m: "2rem 0",
+                  p: "1rem",
+                  backgroundColor: palette.primary.main,
+                  color: palette.background.alt,
+                  "&:hover": { color: palette.primary.main },
+                }}
+              >
+                RESET PASSWORD
+              </Button>
+              <Typography
+                onClick={() => navigate("/forgot-password")}
+                sx={linkSx}
+              >
+                Need a new link?
+              </Typography>
+            </form>
+          )}
+        </Formik>
+      )}
+    </AuthLayout>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,168 @@
+import {
+  Box,
+  Pagination,
+  Tab,
+  Tabs,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import Friend from "components/Friend";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useSearchParams } from "react-router-dom";
+import Navbar from "scenes/navbar";
+import PostWidget from "scenes/widgets/PostWidget";
+import { setPosts } from "state";
+
+const PAGE_SIZE = 10;
+
+const SearchPage = () => {
+  const [searchParams] = useSearchParams();
+  const query = searchParams.get("q") || "";
+  const [tab, setTab] = useState("people");
+  const [page, setPage] = useState(1);
+  const [people, setPeople] = useState(null);
+  const [totalPages, setTotalPages] = useState(0);
+  const dispatch = useDispatch();
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const posts = useSelector((state) => state.posts);
+
+  useEffect(() => {
+    setPage(1);
+  }, [query]);
+
+  useEffect(() => {
+    if (!query) return;
+    let ignore = false;
+
+    const getResults = async () => {
+      const params = new URLSearchParams({
+        q: query,
+        type: tab,
+        page,
+        limit: PAGE_SIZE,
+      });
+      const response = await fetch(`http://localhost:3001/search?${params}`, {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await response.json();
+      if (ignore) return;
+      if (tab === "people") {
+        setPeople(data.people.results);
+        setTotalPages(data.people.totalPages);
+      } else {
+        dispatch(
+          setPosts({ posts: data.posts.results, source: { search: query } })
+        );
+        setTotalPages(data.posts.totalPages);
+      }
+    };
+    getResults();
+    return () => {
+      ignore = true;
+    };
+  }, [query, tab, page, token, dispatch]);
+
+  const results = tab === "people" ? people || [] : posts;
+
+  return (
+    <Box>
+      <Navbar />
+      <Box
+        width="100%"
+        padding="2rem 6%"
+        display="flex"
+        justifyContent="center"
+      >
+        <Box width="100%" maxWidth="700px">
+          <Typography variant="h4" color={palette.neutral.dark} mb="1rem">
+            Results for "{query}"
+          </Typography>
+          <Tabs
+            value={tab}
+            onChange={(e, value) => {
+              setTab(value);
+              setPage(1);
+            }}
+          >
+            <Tab label="People" value="people" />
+            <Tab label="Posts" value="posts" />
+          </Tabs>
+
+          {results.length === 0 && (
+            <Typography color={palette.neutral.medium} m="2rem 0">
+              No {tab} found.
+            </Typography>
+          )}
+
+          {tab === "people" && results.length > 0 && (
+            <WidgetWrapper m="2rem 0">
+              <Box display="flex" flexDirection="column" gap="1.5rem">
+                {results.map((person) => (
+                  <Friend
+                    key={person._id}
+                    friendId={person._id}
+                    name={`${person.firstName} ${person.lastName}`}
+                    subtitle={person.occupation}
+                    userPicturePath={person.picturePath}
+                  />
+                ))}
+              </Box>
+            </WidgetWrapper>
+          )}
+
+          {tab === "posts" &&
+            results.map(
+              ({
+                _id,
+                userId,
+                firstName,
+                lastName,
+                description,
+                location,
+                picturePath,
+                pictureWidth,
+                pictureHeight,
+                userPicturePath,
+                likes,
+                comments,
+                edits,
+              }) => (
+                <PostWidget
+                  key={_id}
+                  postId={_id}
+                  postUserId={userId}
+                  name={`${firstName} ${lastName}`}
+                  description={description}
+                  location={location}
+                  picturePath={picturePath}
+                  pictureWidth={pictureWidth}
+                  pictureHeight={pictureHeight}
+                  userPicturePath={userPicturePath}
+                  likes={likes}
+                  comments={comments}
+                  edits={edits}
+                />
+              )
+            )}
+
+          {totalPages > 1 && (
+            <Box display="flex" justifyContent="center" m="1rem 0">
+              <Pagination
+                count={totalPages}
+                page={page}
+                onChange={(e, value) => setPage(value)}
+                color="primary"
+              />
+            </Box>
+          )}
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default SearchPage;
@@ -0,0 +1,158 @@
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { setUser } from "state";
+
+const AccountSettings = () => {
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const { palette } = useTheme();
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.user);
+  const token = useSelector((state) => state.token);
+  const dark = palette.neutral.dark;
+  const medium = palette.neutral.medium;
+  const scheduledFor = user.deletionScheduledFor;
+
+  const downloadExport = async () => {
+    setIsExporting(true);
+    const response = await fetch(
+      `http://localhost:3001/users/${user._id}/export`,
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    setIsExporting(false);
+    if (!response.ok) return;
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "friendzone-export.zip";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const deleteAccount = async () => {
+    const response = await fetch(`http://localhost:3001/users/${user._id}`, {
+      method: "DELETE",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ password }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.message);
+      return;
+    }
+    dispatch(setUser({ user: { ...user, ...data } }));
+    setIsDeleting(false);
+    setPassword("");
+    setError("");
+  };
+
+  const restoreAccount = async () => {
+    const response = await fetch(
+      `http://localhost:3001/users/${user._id}/restore`,
+      {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    if (!response.ok) return;
+    dispatch(setUser({ user: { ...user, ...(await response.json()) } }));
+  };
+
+  return (
+    <WidgetWrapper>
+      <Typography variant="h5" color={dark} fontWeight="500" mb="0.5rem">
+        Your account
+      </Typography>
+
+      <Box mb="1rem">
+        <Typography color={medium} mb="0.5rem">
+          Download a ZIP of your profile, posts, comments, likes, friends and
+          uploaded pictures.
+        </Typography>
+        <Button onClick={downloadExport} disabled={isExporting}>
+          {isExporting ? "Preparing..." : "Download your data"}
+        </Button>
+      </Box>
+
+      <Box pb="0.75rem">
+        {scheduledFor ? (
+          <>
+            <Typography color="error" mb="0.5rem">
+              Your account will be deleted on{" "}
+              {new Date(scheduledFor).toLocaleDateString()}.
+            </Typography>
+            <Button variant="contained" onClick={restoreAccount}>
+              Keep my account
+            </Button>
+          </>
+        ) : (
+          <>
+            <Typography color={medium} mb="0.5rem">
+              Deleting your account removes your posts and pictures, takes you
+              out of your friends' lists and anonymizes your comments. You can
+              change your mind until the deletion date.
+            </Typography>
+            <Button color="error" onClick={() => setIsDeleting(true)}>
+              Delete account
+            </Button>
+          </>
+        )}
+      </Box>
+
+      <Dialog
+        open={isDeleting}
+        onClose={() => setIsDeleting(false)}
+        fullWidth
+        maxWidth="xs"
+      >
+        <DialogTitle>Delete your account?</DialogTitle>
+        <DialogContent>
+          <Typography mb="0.5rem">
+            Enter your password to confirm. Your other devices will be signed
+            out.
+          </Typography>
+          <TextField
+            fullWidth
+            autoFocus
+            label="Password"
+            type="password"
+            margin="dense"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            error={Boolean(error)}
+            helperText={error}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setIsDeleting(false)}>Cancel</Button>
+          <Button color="error" onClick={deleteAccount} disabled={!password}>
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </WidgetWrapper>
+  );
+};
+
+export default AccountSettings;
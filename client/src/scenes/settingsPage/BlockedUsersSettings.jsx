@@ -0,0 +1,82 @@
+import { Box, Button, Divider, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import UserImage from "components/UserImage";
+import WidgetWrapper from "components/WidgetWrapper";
+import useBlocking from "hooks/useBlocking";
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+
+const LISTS = [
+  {
+    key: "blocks",
+    title: "Blocked people",
+    empty: "You haven't blocked anyone.",
+    action: "Unblock",
+  },
+  {
+    key: "mutes",
+    title: "Muted people",
+    empty: "You haven't muted anyone.",
+    action: "Unmute",
+  },
+];
+
+const BlockedUsersSettings = () => {
+  const [users, setUsers] = useState({ blocks: [], mutes: [] });
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const { _id } = useSelector((state) => state.user);
+  const { unblock, unmute } = useBlocking();
+  const dark = palette.neutral.dark;
+  const medium = palette.neutral.medium;
+
+  const getList = async (key) => {
+    const response = await fetch(`http://localhost:3001/users/${_id}/${key}`, {
+      method: "GET",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) return;
+    const data = await response.json();
+    setUsers((current) => ({ ...current, [key]: data }));
+  };
+
+  const remove = async (key, userId) => {
+    const removed = await (key === "blocks" ? unblock(userId) : unmute(userId));
+    if (removed) getList(key);
+  };
+
+  useEffect(() => {
+    LISTS.forEach(({ key }) => getList(key));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <WidgetWrapper>
+      {LISTS.map(({ key, title, empty, action }, i) => (
+        <Box key={key} mt={i > 0 ? "1.5rem" : undefined}>
+          <Typography variant="h5" color={dark} fontWeight="500" mb="0.5rem">
+            {title}
+          </Typography>
+          {users[key].length === 0 && (
+            <Typography color={medium}>{empty}</Typography>
+          )}
+          {users[key].map((user, j) => (
+            <Box key={user._id}>
+              {j > 0 && <Divider />}
+              <FlexBetween gap="1rem" p="0.75rem 0">
+                <FlexBetween gap="1rem">
+                  <UserImage image={user.picturePath} size="40px" />
+                  <Typography color={dark}>
+                    {user.firstName} {user.lastName}
+                  </Typography>
+                </FlexBetween>
+                <Button onClick={() => remove(key, user._id)}>{action}</Button>
+              </FlexBetween>
+            </Box>
+          ))}
+        </Box>
+      ))}
+    </WidgetWrapper>
+  );
+};
+
+export default BlockedUsersSettings;
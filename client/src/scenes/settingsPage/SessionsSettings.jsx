@@ -0,0 +1,87 @@
+import { Box, Button, Divider, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+
+const SessionsSettings = () => {
+  const [sessions, setSessions] = useState([]);
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const dark = palette.neutral.dark;
+  const medium = palette.neutral.medium;
+
+  const getSessions = async () => {
+    const response = await fetch("http://localhost:3001/auth/sessions", {
+      method: "GET",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) return;
+    setSessions(await response.json());
+  };
+
+  const signOut = async (path) => {
+    const response = await fetch(`http://localhost:3001/auth/sessions${path}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (response.ok) getSessions();
+  };
+
+  useEffect(() => {
+    getSessions();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const hasOthers = sessions.some((session) => !session.current);
+
+  return (
+    <WidgetWrapper>
+      <FlexBetween mb="0.5rem">
+        <Typography variant="h5" color={dark} fontWeight="500">
+          Where you're logged in
+        </Typography>
+        {hasOthers && (
+          <Button color="error" onClick={() => signOut("")}>
+            Sign out all other devices
+          </Button>
+        )}
+      </FlexBetween>
+
+      {sessions.map((session, i) => (
+        <Box key={session._id}>
+          {i > 0 && <Divider />}
+          <FlexBetween gap="1rem" p="0.75rem 0">
+            <Box minWidth={0}>
+              <Typography color={dark}>
+                {session.device}
+                {session.current && (
+                  <Typography
+                    component="span"
+                    color={palette.primary.main}
+                    ml="0.5rem"
+                  >
+                    This device
+                  </Typography>
+                )}
+              </Typography>
+              <Typography fontSize="0.75rem" color={medium}>
+                {session.ip} · last active{" "}
+                {new Date(session.lastSeenAt).toLocaleString()}
+              </Typography>
+              <Typography fontSize="0.75rem" color={medium} noWrap>
+                {session.userAgent}
+              </Typography>
+            </Box>
+            {!session.current && (
+              <Button onClick={() => signOut(`/${session._id}`)}>
+                Sign out
+              </Button>
+            )}
+          </FlexBetween>
+        </Box>
+      ))}
+    </WidgetWrapper>
+  );
+};
+
+export default SessionsSettings;
@@ -0,0 +1,205 @@
+import { Box, Button, TextField, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { setUser } from "state";
+
+const TwoFactorSettings = () => {
+  // idle | enrolling | regenerating | disabling
+  const [step, setStep] = useState("idle");
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const { palette } = useTheme();
+  const dispatch = useDispatch();
+  const user = useSelector((state) => state.user);
+  const token = useSelector((state) => state.token);
+  const isEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+  const dark = palette.neutral.dark;
+  const medium = palette.neutral.medium;
+
+  const request = async (path, body = {}) => {
+    const response = await fetch(`http://localhost:3001/auth/2fa/${path}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.message);
+      return null;
+    }
+    setError("");
+    return data;
+  };
+
+  const reset = (nextStep = "idle") => {
+    setStep(nextStep);
+    setCode("");
+    setPassword("");
+    setError("");
+  };
+
+  const setEnabled = (enabled) =>
+    dispatch(setUser({ user: { ...user, twoFactor: { enabled } } }));
+
+  const startEnrollment = async () => {
+    const data = await request("setup");
+    if (!data) return;
+    setEnrollment(data);
+    setRecoveryCodes(null);
+    reset("enrolling");
+  };
+
+  const confirmEnrollment = async () => {
+    const data = await request("enable", { code });
+    if (!data) return;
+    setEnrollment(null);
+    setRecoveryCodes(data.recoveryCodes);
+    setEnabled(true);
+    reset();
+  };
+
+  const regenerate = async () => {
+    const data = await request("recovery-codes", { code });
+    if (!data) return;
+    setRecoveryCodes(data.recoveryCodes);
+    reset();
+  };
+
+  const disable = async () => {
+    const data = await request("disable", { password, code });
+    if (!data) return;
+    setRecoveryCodes(null);
+    setEnabled(false);
+    reset();
+  };
+
+  const codeField = (
+    <TextField
+      fullWidth
+      label="Authenticator code"
+      margin="dense"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      inputProps={{ autoComplete: "one-time-code" }}
+    />
+  );
+
+  return (
+    <WidgetWrapper>
+      <FlexBetween mb="0.5rem">
+        <Typography variant="h5" color={dark} fontWeight="500">
+          Two-factor authentication
+        </Typography>
+        <Typography color={isEnabled ? palette.primary.main : medium}>
+          {isEnabled ? "On" : "Off"}
+        </Typography>
+      </FlexBetween>
+      <Typography color={medium} mb="1rem">
+        Ask for a code from an authenticator app whenever you log in.
+      </Typography>
+
+      {recoveryCodes && (
+        <Box
+          mb="1rem"
+          p="1rem"
+          borderRadius="0.5rem"
+          backgroundColor={palette.neutral.light}
+        >
+          <Typography color={dark} fontWeight="500" mb="0.5rem">
+            Save these recovery codes somewhere safe. Each one works once, and
+            they will not be shown again.
+          </Typography>
+          <Box
+            display="grid"
+            gridTemplateColumns="repeat(2, minmax(0, 1fr))"
+            fontFamily="monospace"
+          >
+            {recoveryCodes.map((recoveryCode) => (
+              <Typography key={recoveryCode} fontFamily="monospace">
+                {recoveryCode}
+              </Typography>
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      {step === "enrolling" && enrollment && (
+        <Box mb="1rem">
+          <Typography mb="0.5rem">
+            Scan this code with your authenticator app, then enter the code it
+            shows.
+          </Typography>
+          <img src={enrollment.qrCode} alt="Two-factor QR code" width="180" />
+          <Typography color={medium} fontFamily="monospace">
+            {enrollment.secret}
+          </Typography>
+          {codeField}
+        </Box>
+      )}
+      {step === "regenerating" && <Box mb="1rem">{codeField}</Box>}
+      {step === "disabling" && (
+        <Box mb="1rem">
+          <TextField
+            fullWidth
+            label="Password"
+            type="password"
+            margin="dense"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          {codeField}
+        </Box>
+      )}
+
+      {error && (
+        <Typography color="error" mb="1rem">
+          {error}
+        </Typography>
+      )}
+
+      <Box display="flex" gap="0.5rem" pb="0.75rem">
+        {step === "idle" && !isEnabled && (
+          <Button variant="contained" onClick={startEnrollment}>
+            Turn on
+          </Button>
+        )}
+        {step === "idle" && isEnabled && (
+          <>
+            <Button onClick={() => reset("regenerating")}>
+              New recovery codes
+            </Button>
+            <Button color="error" onClick={() => reset("disabling")}>
+              Turn off
+            </Button>
+          </>
+        )}
+        {step === "enrolling" && (
+          <Button variant="contained" onClick={confirmEnrollment}>
+            Confirm
+          </Button>
+        )}
+        {step === "regenerating" && (
+          <Button variant="contained" onClick={regenerate}>
+            Generate
+          </Button>
+        )}
+        {step === "disabling" && (
+          <Button variant="contained" color="error" onClick={disable}>
+            Turn off
+          </Button>
+        )}
+        {step !== "idle" && <Button onClick={() => reset()}>Cancel</Button>}
+      </Box>
+    </WidgetWrapper>
+  );
+};
+
+export default TwoFactorSettings;
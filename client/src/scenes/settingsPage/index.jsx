@@ -0,0 +1,44 @@
+import { Box, Typography, useTheme } from "@mui/material";
+import Navbar from "scenes/navbar";
+import AccountSettings from "./AccountSettings";
+import BlockedUsersSettings from "./BlockedUsersSettings";
+import SessionsSettings from "./SessionsSettings";
+import TwoFactorSettings from "./TwoFactorSettings";
+
+const SettingsPage = () => {
+  const { palette } = useTheme();
+
+  return (
+    <Box>
+      <Navbar />
+      <Box
+        width="100%"
+        padding="2rem 6%"
+        display="flex"
+        justifyContent="center"
+      >
+        <Box
+          width="100%"
+          maxWidth="700px"
+          display="flex"
+          flexDirection="column"
+          gap="1.5rem"
+        >
+          <Typography
+            variant="h3"
+            color={palette.neutral.dark}
+            fontWeight="500"
+          >
+            Settings
+          </Typography>
+          <TwoFactorSettings />
+          <SessionsSettings />
+          <BlockedUsersSettings />
+          <AccountSettings />
+        </Box>
+      </Box>
+    </Box>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,65 @@
+import { Typography, useTheme } from "@mui/material";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import AuthLayout from "scenes/loginPage/AuthLayout";
+import { setUser } from "state";
+
+const VerifyPage = () => {
+  const [status, setStatus] = useState("pending");
+  const [error, setError] = useState("");
+  const { palette } = useTheme();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const user = useSelector((state) => state.user);
+  const isAuth = Boolean(useSelector((state) => state.token));
+
+  const verify = async () => {
+    const response = await fetch("http://localhost:3001/auth/verify", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: searchParams.get("token") }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.msg || data.error);
+      setStatus("failed");
+      return;
+    }
+    if (user) dispatch(setUser({ user: { ...user, emailVerified: true } }));
+    setStatus("verified");
+  };
+
+  useEffect(() => {
+    verify();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <AuthLayout title="Email verification">
+      {status === "pending" && <Typography>Verifying your email...</Typography>}
+      {status === "verified" && (
+        <Typography mb="1rem">Thanks, your email is verified.</Typography>
+      )}
+      {status === "failed" && (
+        <Typography color="error" mb="1rem">
+          {error}
+        </Typography>
+      )}
+      {status !== "pending" && (
+        <Typography
+          onClick={() => navigate(isAuth ? "/home" : "/")}
+          sx={{
+            textDecoration: "underline",
+            color: palette.primary.main,
+            "&:hover": { cursor: "pointer", color: palette.primary.light },
+          }}
+        >
+          {isAuth ? "Continue to FriendZone." : "Log in."}
+        </Typography>
+      )}
+    </AuthLayout>
+  );
+};
+
+export default VerifyPage;
@@ -0,0 +1,111 @@
+import { CheckOutlined, CloseOutlined } from "@mui/icons-material";
+import { Box, IconButton, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import UserImage from "components/UserImage";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { setFriends, setFriendRequests } from "state";
+
+const FriendRequestsWidget = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const { incoming } = useSelector((state) => state.friendRequests);
+  const main = palette.neutral.main;
+  const medium = palette.neutral.medium;
+  const primaryLight = palette.primary.light;
+  const primaryDark = palette.primary.dark;
+
+  const getRequests = async () => {
+    const [incomingResponse, outgoingResponse] = await Promise.all([
+      fetch("http://localhost:3001/friend-requests/incoming", {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }),
+      fetch("http://localhost:3001/friend-requests/outgoing", {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }),
+    ]);
+    const incoming = await incomingResponse.json();
+    const outgoing = await outgoingResponse.json();
+    dispatch(setFriendRequests({ incoming, outgoing }));
+  };
+
+  const respond = async (requestId, action) => {
+    const response = await fetch(
+      `http://localhost:3001/friend-requests/${requestId}/${action}`,
+      {
+        method: "PATCH",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    const { incoming, outgoing, friends } = await response.json();
+    dispatch(setFriendRequests({ incoming, outgoing }));
+    dispatch(setFriends({ friends }));
+  };
+
+  useEffect(() => {
+    getRequests();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  if (!incoming.length) return null;
+
+  return (
+    <WidgetWrapper mb="2rem">
+      <Typography
+        color={palette.neutral.dark}
+        variant="h5"
+        fontWeight="500"
+        sx={{ mb: "1.5rem" }}
+      >
+        Friend Requests
+      </Typography>
+      <Box display="flex" flexDirection="column" gap="1.5rem">
+        {incoming.map(({ _id, user }) => (
+          <FlexBetween key={_id}>
+            <FlexBetween gap="1rem">
+              <UserImage image={user.picturePath} size="55px" />
+              <Box onClick={() => navigate(`/profile/${user._id}`)}>
+                <Typography
+                  color={main}
+                  variant="h5"
+                  fontWeight="500"
+                  sx={{
+                    "&:hover": { color: primaryLight, cursor: "pointer" },
+                  }}
+                >
+                  {user.firstName} {user.lastName}
+                </Typography>
+                <Typography color={medium} fontSize="0.75rem">
+                  {user.occupation}
+                </Typography>
+              </Box>
+            </FlexBetween>
+            <FlexBetween gap="0.5rem">
+              <IconButton
+                title="Accept"
+                onClick={() => respond(_id, "accept")}
+                sx={{ backgroundColor: primaryLight, p: "0.6rem" }}
+              >
+                <CheckOutlined sx={{ color: primaryDark }} />
+              </IconButton>
+              <IconButton
+                title="Decline"
+                onClick={() => respond(_id, "decline")}
+                sx={{ p: "0.6rem" }}
+              >
+                <CloseOutlined />
+              </IconButton>
+            </FlexBetween>
+          </FlexBetween>
+        ))}
+      </Box>
+    </WidgetWrapper>
+  );
+};
+
+export default FriendRequestsWidget;
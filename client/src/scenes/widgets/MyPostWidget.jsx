@@ -23,13 +23,14 @@ import UserImage from "components/UserImage";
 import WidgetWrapper from "components/WidgetWrapper";
 import { useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import { setPosts } from "state";
+import { addPost } from "state";
 
 const MyPostWidget = ({ picturePath }) => {
   const dispatch = useDispatch();
   const [isImage, setIsImage] = useState(false);
   const [image, setImage] = useState(null);
   const [post, setPost] = useState("");
+  const [error, setError] = useState("");
   const { palette } = useTheme();
   const { _id } = useSelector((state) => state.user);
   const token = useSelector((state) => state.token);
@@ -43,7 +44,6 @@ const MyPostWidget = ({ picturePath }) => {
     formData.append("description", post);
     if (image) {
       formData.append("picture", image);
-      formData.append("picturePath", image.name);
     }
 
     const response = await fetch(`http://localhost:3001/posts`, {
@@ -51,8 +51,14 @@ const MyPostWidget = ({ picturePath }) => {
       headers: { Authorization: `Bearer ${token}` },
       body: formData,
     });
-    const posts = await response.json();
-    dispatch(setPosts({ posts }));
+    const newPost = await response.json();
+    if (!response.ok) {
+      setError(newPost.message);
+      return;
+    }
+
+    dispatch(addPost({ post: newPost }));
+    setError("");
     setImage(null);
     setPost("");
   };
@@ -117,6 +123,11 @@ const MyPostWidget = ({ picturePath }) => {
           </Dropzone>
         </Box>
       )}
+      {error && (
+        <Typography color="error" mt="1rem">
+          {error}
+        </Typography>
+      )}
 
       <Divider sx={{ margin: "1.25rem 0" }} />
 
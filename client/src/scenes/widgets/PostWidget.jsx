@@ -2,15 +2,33 @@ import {
   ChatBubbleOutlineOutlined,
   FavoriteBorderOutlined,
   FavoriteOutlined,
+  MoreHorizOutlined,
   ShareOutlined,
 } from "@mui/icons-material";
-import { Box, Divider, IconButton, Typography, useTheme } from "@mui/material";
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  IconButton,
+  InputBase,
+  Menu,
+  MenuItem,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import Comment from "components/Comment";
 import FlexBetween from "components/FlexBetween";
 import Friend from "components/Friend";
 import WidgetWrapper from "components/WidgetWrapper";
-import { useState } from "react";
+import useBlocking from "hooks/useBlocking";
+import useImpression from "hooks/useImpression";
+import { useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import { setPost } from "state";
+import { removePost, removeUserPosts, setPost } from "state";
+import { imageSources } from "utils/media";
 
 const PostWidget = ({
   postId,
@@ -19,19 +37,33 @@ const PostWidget = ({
   description,
   location,
   picturePath,
+  pictureWidth,
+  pictureHeight,
   userPicturePath,
   likes,
   comments,
+  edits = [],
 }) => {
   const [isComments, setIsComments] = useState(false);
+  const [commentText, setCommentText] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState(description);
+  const [isHistory, setIsHistory] = useState(false);
   const dispatch = useDispatch();
   const token = useSelector((state) => state.token);
   const loggedInUserId = useSelector((state) => state.user._id);
   const isLiked = Boolean(likes[loggedInUserId]);
   const likeCount = Object.keys(likes).length;
+  const isOwner = postUserId === loggedInUserId;
+  const wrapperRef = useRef(null);
+  useImpression(wrapperRef, postId, !isOwner);
+  const { block, mute } = useBlocking();
 
   const { palette } = useTheme();
   const main = palette.neutral.main;
+  const medium = palette.neutral.medium;
   const primary = palette.primary.main;
 
   const patchLike = async () => {
@@ -47,24 +79,187 @@ const PostWidget = ({
     dispatch(setPost({ post: updatedPost }));
   };
 
+  const patchPost = async () => {
+    const response = await fetch(`http://localhost:3001/posts/${postId}`, {
+      method: "PATCH",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ description: editText }),
+    });
+    if (!response.ok) return;
+    const updatedPost = await response.json();
+    dispatch(setPost({ post: updatedPost }));
+    setIsEditing(false);
+  };
+
+  const deletePost = async () => {
+    setMenuAnchor(null);
+    if (!window.confirm("Delete this post?")) return;
+
+    const response = await fetch(`http://localhost:3001/posts/${postId}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (response.ok) dispatch(removePost({ postId }));
+  };
+
+  const mutePoster = async () => {
+    setMenuAnchor(null);
+    if (await mute(postUserId)) {
+      dispatch(removeUserPosts({ userId: postUserId }));
+    }
+  };
+
+  const blockPoster = async () => {
+    setMenuAnchor(null);
+    if (!window.confirm(`Block ${name}? You won't see each other anymore.`)) {
+      return;
+    }
+    await block(postUserId);
+  };
+
+  const postComment = async () => {
+    const response = await fetch(
+      `http://localhost:3001/posts/${postId}/comments`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          text: commentText,
+          parentId: replyTo ? replyTo._id : null,
+        }),
+      }
+    );
+    const updatedPost = await response.json();
+    dispatch(setPost({ post: updatedPost }));
+    setCommentText("");
+    setReplyTo(null);
+  };
+
   return (
-    <WidgetWrapper m="2rem 0">
-      <Friend
-        friendId={postUserId}
-        name={name}
-        subtitle={location}
-        userPicturePath={userPicturePath}
-      />
-      <Typography color={main} sx={{ mt: "1rem" }}>
-        {description}
-      </Typography>
+    <WidgetWrapper m="2rem 0" ref={wrapperRef}>
+      <FlexBetween gap="0.5rem">
+        <Box flexGrow={1}>
+          <Friend
+            friendId={postUserId}
+            name={name}
+            subtitle={location}
+            userPicturePath={userPicturePath}
+          />
+        </Box>
+        <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)}>
+          <MoreHorizOutlined />
+        </IconButton>
+        <Menu
+          anchorEl={menuAnchor}
+          open={Boolean(menuAnchor)}
+          onClose={() => setMenuAnchor(null)}
+        >
+          {isOwner
+            ? [
+                <MenuItem
+                  key="edit"
+                  onClick={() => {
+                    setMenuAnchor(null);
+                    setEditText(description);
+                    setIsEditing(true);
+                  }}
+                >
+                  Edit
+                </MenuItem>,
+                <MenuItem key="delete" onClick={deletePost}>
+                  Delete
+                </MenuItem>,
+              ]
+            : [
+                <MenuItem key="mute" onClick={mutePoster}>
+                  Mute {name}
+                </MenuItem>,
+                <MenuItem key="block" onClick={blockPoster}>
+                  Block {name}
+                </MenuItem>,
+              ]}
+        </Menu>
+      </FlexBetween>
+      {isEditing ? (
+        <Box mt="1rem">
+          <InputBase
+            multiline
+            fullWidth
+            onChange={(e) => setEditText(e.target.value)}
+            value={editText}
+            sx={{
+              backgroundColor: palette.neutral.light,
+              borderRadius: "1rem",
+              padding: "0.75rem 1.5rem",
+            }}
+          />
+          <FlexBetween justifyContent="flex-end" gap="0.5rem" mt="0.5rem">
+            <Button onClick={() => setIsEditing(false)}>Cancel</Button>
+            <Button
+              disabled={!editText.trim()}
+              onClick={patchPost}
+              sx={{
+                color: palette.background.alt,
+                backgroundColor: primary,
+                borderRadius: "3rem",
+              }}
+            >
+              SAVE
+            </Button>
+          </FlexBetween>
+        </Box>
+      ) : (
+        <Typography color={main} sx={{ mt: "1rem" }}>
+          {description}
+          {edits.length > 0 && (
+            <Typography
+              component="span"
+              color={medium}
+              fontSize="0.75rem"
+              onClick={() => setIsHistory(true)}
+              sx={{ ml: "0.5rem", "&:hover": { cursor: "pointer" } }}
+            >
+              (edited)
+            </Typography>
+          )}
+        </Typography>
+      )}
+      <Dialog open={isHistory} onClose={() => setIsHistory(false)}>
+        <DialogTitle>Edit History</DialogTitle>
+        <DialogContent>
+          {[...edits].reverse().map((edit) => (
+            <Box key={edit._id} mb="1rem">
+              <Typography color={medium} fontSize="0.75rem">
+                Replaced {new Date(edit.editedAt).toLocaleString()}
+              </Typography>
+              <Typography color={main}>{edit.description}</Typography>
+            </Box>
+          ))}
+        </DialogContent>
+      </Dialog>
       {picturePath && (
         <img
-          width="100%"
-          height="auto"
+          width={pictureWidth || "100%"}
+          height={pictureHeight || "auto"}
           alt="post"
-          style={{ borderRadius: "0.75rem", marginTop: "0.75rem" }}
-          src={`http://localhost:3001/assets/${picturePath}`}
+          loading="lazy"
+          sizes="(min-width: 1000px) 42vw, 100vw"
+          style={{
+            width: "100%",
+            height: "auto",
+            borderRadius: "0.75rem",
+            marginTop: "0.75rem",
+          }}
+          {...imageSources(picturePath, {
+            width: pictureWidth,
+            height: pictureHeight,
+          })}
         />
       )}
       <FlexBetween mt="0.25rem">
@@ -94,15 +289,60 @@ const PostWidget = ({
       </FlexBetween>
       {isComments && (
         <Box mt="0.5rem">
-          {comments.map((comment, i) => (
-            <Box key={`${name}-${i}`}>
-              <Divider />
-              <Typography sx={{ color: main, m: "0.5rem 0", pl: "1rem" }}>
-                {comment}
-              </Typography>
-            </Box>
-          ))}
+          {comments
+            .filter((comment) => !comment.parentId)
+            .map((comment) => (
+              <Box key={comment._id}>
+                <Divider />
+                <Comment
+                  postId={postId}
+                  postUserId={postUserId}
+                  comment={comment}
+                  comments={comments}
+                  onReply={setReplyTo}
+                />
+              </Box>
+            ))}
           <Divider />
+          {replyTo && (
+            <FlexBetween mt="0.5rem">
+              <Typography color={medium} fontSize="0.75rem">
+                Replying to {replyTo.firstName} {replyTo.lastName}
+              </Typography>
+              <Typography
+                color={medium}
+                fontSize="0.75rem"
+                onClick={() => setReplyTo(null)}
+                sx={{ "&:hover": { color: primary, cursor: "pointer" } }}
+              >
+                Cancel
+              </Typography>
+            </FlexBetween>
+          )}
+          <FlexBetween gap="1rem" m="0.75rem 0">
+            <InputBase
+              placeholder="Write a comment..."
+              onChange={(e) => setCommentText(e.target.value)}
+              value={commentText}
+              sx={{
+                width: "100%",
+                backgroundColor: palette.neutral.light,
+                borderRadius: "2rem",
+                padding: "0.5rem 1.5rem",
+              }}
+            />
+            <Button
+              disabled={!commentText.trim()}
+              onClick={postComment}
+              sx={{
+                color: palette.background.alt,
+                backgroundColor: primary,
+                borderRadius: "3rem",
+              }}
+            >
+              SEND
+            </Button>
+          </FlexBetween>
         </Box>
       )}
     </WidgetWrapper>
@@ -1,41 +1,58 @@
-import { useEffect } from "react";
+import { Box, CircularProgress } from "@mui/material";
+import { useEffect, useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
-import { setPosts } from "state";
+import { appendPosts, setPosts } from "state";
 import PostWidget from "./PostWidget";
 
-const PostsWidget = ({ userId, isProfile = false }) => {
+const PostsWidget = ({ userId, isProfile = false, mode }) => {
   const dispatch = useDispatch();
   const posts = useSelector((state) => state.posts);
   const token = useSelector((state) => state.token);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const sentinelRef = useRef(null);
 
-  const getPosts = async () => {
-    const response = await fetch("http://localhost:3001/posts", {
+  const getPosts = async (cursor = null) => {
+    setIsLoading(true);
+    const url = isProfile
+      ? `http://localhost:3001/posts/${userId}/posts`
+      : "http://localhost:3001/posts/feed";
+    const params = new URLSearchParams();
+    if (!isProfile && mode) params.set("mode", mode);
+    if (cursor) params.set("cursor", cursor);
+    const response = await fetch(`${url}?${params}`, {
       method: "GET",
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await response.json();
-    dispatch(setPosts({ posts: data }));
-  };
-
-  const getUserPosts = async () => {
-    const response = await fetch(
-      `http://localhost:3001/posts/${userId}/posts`,
-      {
-        method: "GET",
-        headers: { Authorization: `Bearer ${token}` },
-      }
+    const source = isProfile ? { profileId: userId } : { feed: mode };
+    dispatch(
+      cursor
+        ? appendPosts({ posts: data.posts })
+        : setPosts({ posts: data.posts, source })
     );
-    const data = await response.json();
-    dispatch(setPosts({ posts: data }));
+    setNextCursor(data.nextCursor);
+    setIsLoading(false);
   };
 
   useEffect(() => {
-    if (isProfile) {
-      getUserPosts();
-    } else {
-      getPosts();
-    }
-  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+    setNextCursor(null);
+    getPosts();
+  }, [mode]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || isLoading) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) getPosts(nextCursor);
+      },
+      { rootMargin: "400px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, isLoading]); // eslint-disable-line react-hooks/exhaustive-deps
 
   return (
     <>
@@ -48,9 +65,12 @@ const PostsWidget = ({ userId, isProfile = false }) => {
           description,
           location,
           picturePath,
+          pictureWidth,
+          pictureHeight,
           userPicturePath,
           likes,
           comments,
+          edits,
         }) => (
           <PostWidget
             key={_id}
@@ -60,12 +80,18 @@ const PostsWidget = ({ userId, isProfile = false }) => {
             description={description}
             location={location}
             picturePath={picturePath}
+            pictureWidth={pictureWidth}
+            pictureHeight={pictureHeight}
             userPicturePath={userPicturePath}
             likes={likes}
             comments={comments}
+            edits={edits}
           />
         )
       )}
+      <Box ref={sentinelRef} display="flex" justifyContent="center" p="1rem">
+        {isLoading && <CircularProgress size="1.5rem" />}
+      </Box>
     </>
   );
 };
@@ -0,0 +1,61 @@
+import {
+  Box,
+  Dialog,
+  DialogContent,
+  DialogTitle,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import Friend from "components/Friend";
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+
+const ProfileViewersDialog = ({ open, userId, onClose }) => {
+  const [viewers, setViewers] = useState(null);
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+
+  const getViewers = async () => {
+    const response = await fetch(
+      `http://localhost:3001/users/${userId}/viewers?limit=20`,
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    const data = await response.json();
+    setViewers(response.ok ? data : []);
+  };
+
+  useEffect(() => {
+    if (open) getViewers();
+  }, [open]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Who's viewed your profile</DialogTitle>
+      <DialogContent>
+        {viewers && viewers.length === 0 && (
+          <Typography color={palette.neutral.medium}>
+            No one has viewed your profile yet.
+          </Typography>
+        )}
+        <Box display="flex" flexDirection="column" gap="1.5rem">
+          {(viewers || []).map((viewer) => (
+            <Friend
+              key={viewer._id}
+              friendId={viewer._id}
+              name={`${viewer.firstName} ${viewer.lastName}`}
+              subtitle={`Viewed ${new Date(
+                viewer.viewedAt
+              ).toLocaleDateString()}`}
+              userPicturePath={viewer.picturePath}
+            />
+          ))}
+        </Box>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ProfileViewersDialog;
@@ -0,0 +1,121 @@
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  MenuItem,
+  Switch,
+  TextField,
+  Typography,
+} from "@mui/material";
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { SOCIAL_PLATFORMS } from "./socialPlatforms";
+
+// adds a link when `link` is empty, otherwise edits or deletes it
+const SocialLinkDialog = ({ open, link, usedPlatforms, onClose, onSaved }) => {
+  const [platform, setPlatform] = useState("");
+  const [url, setUrl] = useState("");
+  const [isPublic, setIsPublic] = useState(true);
+  const [error, setError] = useState("");
+  const { _id } = useSelector((state) => state.user);
+  const token = useSelector((state) => state.token);
+
+  const availablePlatforms = Object.keys(SOCIAL_PLATFORMS).filter(
+    (key) => !usedPlatforms.includes(key)
+  );
+
+  useEffect(() => {
+    if (!open) return;
+    setPlatform(link ? link.platform : availablePlatforms[0] || "");
+    setUrl(link ? link.url : "");
+    setIsPublic(link ? link.visibility === "public" : true);
+    setError("");
+  }, [open, link]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const request = async (method, path, body) => {
+    const response = await fetch(
+      `http://localhost:3001/users/${_id}/social-links${path}`,
+      {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: body && JSON.stringify(body),
+      }
+    );
+    const data = await response.json();
+    if (!response.ok) {
+      setError(data.message);
+      return;
+    }
+    onSaved(data);
+  };
+
+  const handleSave = () => {
+    const visibility = isPublic ? "public" : "private";
+    if (link) request("PATCH", `/${link._id}`, { url, visibility });
+    else request("POST", "", { platform, url, visibility });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>{link ? "Edit Link" : "Add Link"}</DialogTitle>
+      <DialogContent>
+        <TextField
+          select
+          fullWidth
+          label="Platform"
+          margin="dense"
+          value={platform}
+          disabled={Boolean(link)}
+          onChange={(e) => setPlatform(e.target.value)}
+        >
+          {(link ? [link.platform] : availablePlatforms).map((key) => (
+            <MenuItem key={key} value={key}>
+              {SOCIAL_PLATFORMS[key].label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          fullWidth
+          label="URL"
+          margin="dense"
+          placeholder="https://"
+          value={url}
+          onChange={(e) => setUrl(e.target.value)}
+        />
+        <FormControlLabel
+          control={
+            <Switch
+              checked={isPublic}
+              onChange={(e) => setIsPublic(e.target.checked)}
+            />
+          }
+          label="Visible to everyone"
+        />
+        {error && <Typography color="error">{error}</Typography>}
+      </DialogContent>
+      <DialogActions>
+        {link && (
+          <Button
+            color="error"
+            onClick={() => request("DELETE", `/${link._id}`)}
+            sx={{ mr: "auto" }}
+          >
+            Delete
+          </Button>
+        )}
+        <Button onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} disabled={!platform || !url.trim()}>
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SocialLinkDialog;
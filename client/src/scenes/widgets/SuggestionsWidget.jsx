@@ -0,0 +1,141 @@
+import { CloseOutlined, PersonAddOutlined } from "@mui/icons-material";
+import { Box, IconButton, Typography, useTheme } from "@mui/material";
+import FlexBetween from "components/FlexBetween";
+import UserImage from "components/UserImage";
+import WidgetWrapper from "components/WidgetWrapper";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { setFriends, setFriendRequests } from "state";
+
+const SUGGESTION_COUNT = 5;
+
+const getReason = ({
+  mutualFriends,
+  sharedOccupation,
+  sharedLocation,
+  occupation,
+  location,
+}) => {
+  if (mutualFriends === 1) return "1 mutual friend";
+  if (mutualFriends > 1) return `${mutualFriends} mutual friends`;
+  if (sharedOccupation) return occupation;
+  if (sharedLocation) return `Lives in ${location}`;
+  return occupation;
+};
+
+const SuggestionsWidget = ({ userId }) => {
+  const [suggestions, setSuggestions] = useState([]);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { palette } = useTheme();
+  const token = useSelector((state) => state.token);
+  const main = palette.neutral.main;
+  const medium = palette.neutral.medium;
+  const primaryLight = palette.primary.light;
+  const primaryDark = palette.primary.dark;
+
+  const getSuggestions = async () => {
+    const response = await fetch(
+      `http://localhost:3001/users/${userId}/suggestions?limit=${SUGGESTION_COUNT}`,
+      {
+        method: "GET",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    if (!response.ok) return;
+    setSuggestions(await response.json());
+  };
+
+  const drop = (suggestionId) =>
+    setSuggestions((current) =>
+      current.filter(({ _id }) => _id !== suggestionId)
+    );
+
+  const addFriend = async (suggestionId) => {
+    const response = await fetch(
+      `http://localhost:3001/friend-requests/${suggestionId}`,
+      {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    if (!response.ok) return;
+    const { incoming, outgoing, friends } = await response.json();
+    dispatch(setFriendRequests({ incoming, outgoing }));
+    dispatch(setFriends({ friends }));
+    drop(suggestionId);
+  };
+
+  const dismiss = async (suggestionId) => {
+    const response = await fetch(
+      `http://localhost:3001/users/${userId}/suggestions/${suggestionId}`,
+      {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      }
+    );
+    if (response.ok) drop(suggestionId);
+  };
+
+  useEffect(() => {
+    getSuggestions();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  if (!suggestions.length) return null;
+
+  return (
+    <WidgetWrapper mt="2rem">
+      <Typography
+        color={palette.neutral.dark}
+        variant="h5"
+        fontWeight="500"
+        sx={{ mb: "1.5rem" }}
+      >
+        People You May Know
+      </Typography>
+      <Box display="flex" flexDirection="column" gap="1.5rem">
+        {suggestions.map((suggestion) => (
+          <FlexBetween key={suggestion._id}>
+            <FlexBetween gap="1rem">
+              <UserImage image={suggestion.picturePath} size="55px" />
+              <Box onClick={() => navigate(`/profile/${suggestion._id}`)}>
+                <Typography
+                  color={main}
+                  variant="h5"
+                  fontWeight="500"
+                  sx={{
+                    "&:hover": { color: primaryLight, cursor: "pointer" },
+                  }}
+                >
+                  {suggestion.firstName} {suggestion.lastName}
+                </Typography>
+                <Typography color={medium} fontSize="0.75rem">
+                  {getReason(suggestion)}
+                </Typography>
+              </Box>
+            </FlexBetween>
+            <FlexBetween gap="0.5rem">
+              <IconButton
+                title="Add friend"
+                onClick={() => addFriend(suggestion._id)}
+                sx={{ backgroundColor: primaryLight, p: "0.6rem" }}
+              >
+                <PersonAddOutlined sx={{ color: primaryDark }} />
+              </IconButton>
+              <IconButton
+                title="Dismiss"
+                onClick={() => dismiss(suggestion._id)}
+                sx={{ p: "0.6rem" }}
+              >
+                <CloseOutlined />
+              </IconButton>
+            </FlexBetween>
+          </FlexBetween>
+        ))}
+      </Box>
+    </WidgetWrapper>
+  );
+};
+
+export default SuggestionsWidget;
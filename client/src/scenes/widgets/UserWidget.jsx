@@ -3,20 +3,43 @@ import {
   EditOutlined,
   LocationOnOutlined,
   WorkOutlineOutlined,
+  AddOutlined,
+  LockOutlined,
+  MoreHorizOutlined,
 } from "@mui/icons-material";
-import { Box, Typography, Divider, useTheme } from "@mui/material";
+import {
+  Box,
+  Typography,
+  Divider,
+  IconButton,
+  Menu,
+  MenuItem,
+  useTheme,
+} from "@mui/material";
 import UserImage from "components/UserImage";
 import FlexBetween from "components/FlexBetween";
 import WidgetWrapper from "components/WidgetWrapper";
+import useBlocking from "hooks/useBlocking";
 import { useSelector } from "react-redux";
 import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
+import ProfileViewersDialog from "./ProfileViewersDialog";
+import SocialLinkDialog from "./SocialLinkDialog";
+import { SOCIAL_PLATFORMS } from "./socialPlatforms";
 
-const UserWidget = ({ userId, picturePath }) => {
+const UserWidget = ({ userId, picturePath, onEdit }) => {
   const [user, setUser] = useState(null);
+  const [isNotFound, setIsNotFound] = useState(false);
+  const [editingLink, setEditingLink] = useState(undefined);
+  const [isViewers, setIsViewers] = useState(false);
+  const [menuAnchor, setMenuAnchor] = useState(null);
   const { palette } = useTheme();
   const navigate = useNavigate();
   const token = useSelector((state) => state.token);
+  const loggedInUserId = useSelector((state) => state.user._id);
+  const isOwner = userId === loggedInUserId;
+  const { muted, block, mute, unmute } = useBlocking();
+  const isMuted = muted.includes(userId);
   const dark = palette.neutral.dark;
   const medium = palette.neutral.medium;
   const main = palette.neutral.main;
@@ -27,6 +50,11 @@ const UserWidget = ({ userId, picturePath }) => {
       headers: { Authorization: `Bearer ${token}` },
     });
     const data = await response.json();
+    // blocked either way, or the account is gone
+    if (!response.ok) {
+      setIsNotFound(true);
+      return;
+    }
     setUser(data);
   };
 
@@ -34,6 +62,28 @@ const UserWidget = ({ userId, picturePath }) => {
     getUser();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  const toggleMute = async () => {
+    setMenuAnchor(null);
+    await (isMuted ? unmute(userId) : mute(userId));
+  };
+
+  const blockUser = async () => {
+    setMenuAnchor(null);
+    const name = `${user.firstName} ${user.lastName}`;
+    if (!window.confirm(`Block ${name}? You won't see each other anymore.`)) {
+      return;
+    }
+    if (await block(userId)) navigate("/home");
+  };
+
+  if (isNotFound) {
+    return (
+      <WidgetWrapper>
+        <Typography color={medium}>This profile is not available.</Typography>
+      </WidgetWrapper>
+    );
+  }
+
   if (!user) {
     return null;
   }
@@ -46,6 +96,7 @@ const UserWidget = ({ userId, picturePath }) => {
     viewedProfile,
     impressions,
     friends,
+    socialLinks,
   } = user;
 
   return (
@@ -75,7 +126,29 @@ const UserWidget = ({ userId, picturePath }) => {
             <Typography color={medium}>{friends.length} friends</Typography>
           </Box>
         </FlexBetween>
-        <ManageAccountsOutlined />
+        {onEdit ? (
+          <IconButton
+            title="Edit profile"
+            onClick={(e) => {
+              e.stopPropagation();
+              onEdit();
+            }}
+          >
+            <ManageAccountsOutlined />
+          </IconButton>
+        ) : isOwner ? (
+          <ManageAccountsOutlined />
+        ) : (
+          <IconButton
+            title="More"
+            onClick={(e) => {
+              e.stopPropagation();
+              setMenuAnchor(e.currentTarget);
+            }}
+          >
+            <MoreHorizOutlined />
+          </IconButton>
+        )}
       </FlexBetween>
 
       <Divider />
@@ -96,7 +169,11 @@ const UserWidget = ({ userId, picturePath }) => {
 
       {/* THIRD ROW */}
       <Box p="1rem 0">
-        <FlexBetween mb="0.5rem">
+        <FlexBetween
+          mb="0.5rem"
+          onClick={isOwner ? () => setIsViewers(true) : undefined}
+          sx={isOwner ? { cursor: "pointer" } : undefined}
+        >
           <Typography color={medium}>Who's viewed your profile</Typography>
           <Typography color={main} fontWeight="500">
             {viewedProfile}
@@ -108,6 +185,19 @@ const UserWidget = ({ userId, picturePath }) => {
             {impressions}
           </Typography>
         </FlexBetween>
+        {isOwner && (
+          <Typography
+            mt="0.5rem"
+            color={palette.primary.main}
+            onClick={() => navigate("/analytics")}
+            sx={{
+              cursor: "pointer",
+              "&:hover": { textDecoration: "underline" },
+            }}
+          >
+            View analytics
+          </Typography>
+        )}
       </Box>
 
       <Divider />
@@ -118,32 +208,93 @@ const UserWidget = ({ userId, picturePath }) => {
           Social Profiles
         </Typography>
 
-        <FlexBetween gap="1rem" mb="0.5rem">
-          <FlexBetween gap="1rem">
-            <img src="../assets/twitter.png" alt="twitter" />
-            <Box>
-              <Typography color={main} fontWeight="500">
-                Twitter
-              </Typography>
-              <Typography color={medium}>Social Network</Typography>
-            </Box>
-          </FlexBetween>
-          <EditOutlined sx={{ color: main }} />
-        </FlexBetween>
-
-        <FlexBetween gap="1rem">
-          <FlexBetween gap="1rem">
-            <img src="../assets/linkedin.png" alt="linkedin" />
-            <Box>
-              <Typography color={main} fontWeight="500">
-                Linkedin
-              </Typography>
-              <Typography color={medium}>Network Platform</Typography>
-            </Box>
-          </FlexBetween>
-          <EditOutlined sx={{ color: main }} />
-        </FlexBetween>
+        {socialLinks.map((link) => {
+          const { label, caption, Icon } = SOCIAL_PLATFORMS[link.platform];
+          return (
+            <FlexBetween key={link._id} gap="1rem" mb="0.5rem">
+              <FlexBetween gap="1rem">
+                <Icon fontSize="large" sx={{ color: main }} />
+                <Box>
+                  <Typography
+                    component="a"
+                    href={link.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    color={main}
+                    fontWeight="500"
+                    sx={{
+                      textDecoration: "none",
+                      "&:hover": { color: palette.primary.light },
+                    }}
+                  >
+                    {label}
+                  </Typography>
+                  <Typography color={medium}>{caption}</Typography>
+                </Box>
+              </FlexBetween>
+              {isOwner && (
+                <FlexBetween gap="0.25rem">
+                  {link.visibility === "private" && (
+                    <LockOutlined
+                      titleAccess="Only you"
+                      sx={{ color: medium }}
+                    />
+                  )}
+                  <IconButton onClick={() => setEditingLink(link)}>
+                    <EditOutlined sx={{ color: main }} />
+                  </IconButton>
+                </FlexBetween>
+              )}
+            </FlexBetween>
+          );
+        })}
+        {socialLinks.length === 0 && !isOwner && (
+          <Typography color={medium}>No social profiles yet.</Typography>
+        )}
+        {isOwner &&
+          socialLinks.length < Object.keys(SOCIAL_PLATFORMS).length && (
+            <FlexBetween
+              gap="0.5rem"
+              onClick={() => setEditingLink(null)}
+              sx={{ width: "fit-content", cursor: "pointer" }}
+            >
+              <AddOutlined sx={{ color: medium }} />
+              <Typography color={medium}>Add a social profile</Typography>
+            </FlexBetween>
+          )}
       </Box>
+
+      {!isOwner && (
+        <Menu
+          anchorEl={menuAnchor}
+          open={Boolean(menuAnchor)}
+          onClose={() => setMenuAnchor(null)}
+        >
+          <MenuItem onClick={toggleMute}>
+            {isMuted ? "Unmute" : "Mute"} {firstName}
+          </MenuItem>
+          <MenuItem onClick={blockUser}>Block {firstName}</MenuItem>
+        </Menu>
+      )}
+      {isOwner && (
+        <ProfileViewersDialog
+          open={isViewers}
+          userId={userId}
+          onClose={() => setIsViewers(false)}
+        />
+      )}
+      {isOwner && (
+        <SocialLinkDialog
+          open={editingLink !== undefined}
+          link={editingLink}
+          usedPlatforms={socialLinks.map(({ platform }) => platform)}
+          onClose={() => setEditingLink(undefined)}
+          onSaved={(links) => {
+            setUser({ ...user, socialLinks: links });
+            setEditingLink(undefined);
+          }}
+        />
+      )}
     </WidgetWrapper>
   );
 };
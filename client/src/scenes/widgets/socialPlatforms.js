@@ -0,0 +1,18 @@
+import {
+  Facebook,
+  GitHub,
+  Instagram,
+  Language,
+  LinkedIn,
+  Twitter,
+} from "@mui/icons-material";
+
+// mirrors SOCIAL_PLATFORMS in server/models/User.js
+export const SOCIAL_PLATFORMS = {
+  twitter: { label: "Twitter", caption: "Social Network", Icon: Twitter },
+  linkedin: { label: "Linkedin", caption: "Network Platform", Icon: LinkedIn },
+  github: { label: "GitHub", caption: "Code Hosting", Icon: GitHub },
+  instagram: { label: "Instagram", caption: "Photo Sharing", Icon: Instagram },
+  facebook: { label: "Facebook", caption: "Social Network", Icon: Facebook },
+  website: { label: "Website", caption: "Personal Site", Icon: Language },
+};
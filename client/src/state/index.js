@@ -5,6 +5,11 @@ const initialState = {
   user: null,
   token: null,
   posts: [],
+  // what the posts list was loaded for: { feed: mode } or { profileId }
+  postsSource: null,
+  feedMode: "ranked",
+  unreadNotifications: 0,
+  friendRequests: { incoming: [], outgoing: [] },
 };
 
 export const authSlice = createSlice({
@@ -18,9 +23,18 @@ export const authSlice = createSlice({
       state.user = action.payload.user;
       state.token = action.payload.token;
     },
+    setUser: (state, action) => {
+      // keep the friend list in whatever shape it was already loaded
+      state.user = { ...action.payload.user, friends: state.user.friends };
+    },
+    setToken: (state, action) => {
+      state.token = action.payload.token;
+    },
     setLogout: (state) => {
       state.user = null;
       state.token = null;
+      state.friendRequests = initialState.friendRequests;
+      state.unreadNotifications = 0;
     },
     setFriends: (state, action) => {
       if (state.user) {
@@ -29,8 +43,45 @@ export const authSlice = createSlice({
         console.error("user friends non-existent :(");
       }
     },
+    setBlockState: (state, action) => {
+      const { blocked, muted } = action.payload;
+      state.user.blocked = blocked;
+      state.user.muted = muted;
+      // blocking also ends the friendship on the server
+      state.user.friends = state.user.friends.filter(
+        (friend) => !blocked.includes(friend._id)
+      );
+      state.posts = state.posts.filter(
+        (post) => !blocked.includes(post.userId)
+      );
+    },
+    setFriendRequests: (state, action) => {
+      state.friendRequests = {
+        incoming: action.payload.incoming,
+        outgoing: action.payload.outgoing,
+      };
+    },
+    setFeedMode: (state, action) => {
+      state.feedMode = action.payload.feedMode;
+    },
+    setUnreadNotifications: (state, action) => {
+      state.unreadNotifications = action.payload.unreadCount;
+    },
     setPosts: (state, action) => {
       state.posts = action.payload.posts;
+      if (action.payload.source) state.postsSource = action.payload.source;
+    },
+    appendPosts: (state, action) => {
+      const loadedIds = new Set(state.posts.map((post) => post._id));
+      state.posts = state.posts.concat(
+        action.payload.posts.filter((post) => !loadedIds.has(post._id))
+      );
+    },
+    // the socket event and the author's own response can both bring it
+    addPost: (state, action) => {
+      const { post } = action.payload;
+      if (state.posts.some(({ _id }) => _id === post._id)) return;
+      state.posts = [post, ...state.posts];
     },
     setPost: (state, action) => {
       const updatedPosts = state.posts.map((post) => {
@@ -39,9 +90,35 @@ export const authSlice = createSlice({
       });
       state.posts = updatedPosts;
     },
+    removePost: (state, action) => {
+      state.posts = state.posts.filter(
+        (post) => post._id !== action.payload.postId
+      );
+    },
+    removeUserPosts: (state, action) => {
+      state.posts = state.posts.filter(
+        (post) => post.userId !== action.payload.userId
+      );
+    },
   },
 });
 
-export const { setMode, setLogin, setLogout, setFriends, setPosts, setPost } =
-  authSlice.actions;
+export const {
+  setMode,
+  setLogin,
+  setUser,
+  setToken,
+  setLogout,
+  setFriends,
+  setBlockState,
+  setFriendRequests,
+  setFeedMode,
+  setUnreadNotifications,
+  setPosts,
+  appendPosts,
+  addPost,
+  setPost,
+  removePost,
+  removeUserPosts,
+} = authSlice.actions;
 export default authSlice.reducer;
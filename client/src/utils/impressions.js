@@ -0,0 +1,39 @@
+// post ids are queued and reported in batches rather than one request each
+const FLUSH_INTERVAL_MS = 5000;
+const MAX_BATCH = 50;
+
+let queue = new Set();
+let latestToken = null;
+let timer = null;
+
+const flush = () => {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.size || !latestToken) return;
+
+  const postIds = [...queue].slice(0, MAX_BATCH);
+  postIds.forEach((id) => queue.delete(id));
+  fetch("http://localhost:3001/posts/impressions", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${latestToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ postIds }),
+    // lets the last batch go out while the page is being closed
+    keepalive: true,
+  }).catch(() => {});
+
+  if (queue.size) timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+};
+
+export const trackImpression = (postId, token) => {
+  queue.add(postId);
+  latestToken = token;
+  if (queue.size >= MAX_BATCH) flush();
+  else if (!timer) timer = setTimeout(flush, FLUSH_INTERVAL_MS);
+};
+
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") flush();
+});
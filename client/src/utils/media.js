@@ -0,0 +1,35 @@
+export const MEDIA_URL = "http://localhost:3001/media";
+
+// longest edge of each server-side variant, see server/services/images.js
+const IMAGE_SIZES = { avatar: 160, feed: 720, full: 1600 };
+const VARIANT_PATTERN = /^([a-f0-9]{64})-full\.jpg$/;
+
+const variantUrl = (hash, size, ext) => `${MEDIA_URL}/${hash}-${size}.${ext}`;
+
+// src and srcSet for a stored picture; older uploads only have a plain src
+export const imageSources = (
+  picturePath,
+  { avatar = false, width, height } = {}
+) => {
+  const match = VARIANT_PATTERN.exec(picturePath || "");
+  if (!match) return { src: `${MEDIA_URL}/${picturePath}` };
+
+  const hash = match[1];
+  if (avatar) {
+    return {
+      src: variantUrl(hash, "avatar", "jpg"),
+      srcSet: variantUrl(hash, "avatar", "webp"),
+    };
+  }
+
+  const longest = Math.max(width || 0, height || 0);
+  const srcSet = ["feed", "full"]
+    .map((size) => {
+      const scale = longest ? Math.min(1, IMAGE_SIZES[size] / longest) : 1;
+      const variantWidth = Math.round((width || IMAGE_SIZES[size]) * scale);
+      return `${variantUrl(hash, size, "webp")} ${variantWidth}w`;
+    })
+    .join(", ");
+
+  return { src: variantUrl(hash, "full", "jpg"), srcSet };
+};
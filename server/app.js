@@ -0,0 +1,76 @@
+import express from "express";
+import bodyParser from "body-parser";
+import cors from "cors";
+import cookieParser from "cookie-parser";
+import helmet from "helmet";
+import morgan from "morgan";
+import path from "path";
+import { fileURLToPath } from "url";
+import authRoutes from "./routes/auth.js";
+import userRoutes from "./routes/users.js";
+import postRoutes from "./routes/posts.js";
+import friendRequestRoutes from "./routes/friendRequests.js";
+import searchRoutes from "./routes/search.js";
+import notificationRoutes from "./routes/notifications.js";
+import conversationRoutes from "./routes/conversations.js";
+import mediaRoutes from "./routes/media.js";
+import { register } from "./controllers/auth.js";
+import { createPost } from "./controllers/posts.js";
+import { updateUser } from "./controllers/users.js";
+import { verifyToken, matchUser } from "./middleware/auth.js";
+import { rateLimit } from "./middleware/rateLimit.js";
+import { uploadImage } from "./middleware/upload.js";
+
+/* CONFIGURATIONS */
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const app = express();
+app.use(express.json());
+app.use(helmet());
+app.use(helmet.crossOriginResourcePolicy({ policy: "cross-origin" }));
+app.use(morgan("common"));
+app.use(bodyParser.json({ limit: "30mb", extended: true }));
+app.use(bodyParser.urlencoded({ limit: "30mb", extended: true }));
+app.use(cookieParser());
+app.use(
+  cors({
+    origin: process.env.CLIENT_URL || "http://localhost:3000",
+    credentials: true,
+  })
+);
+app.use("/assets", express.static(path.join(__dirname, "public/assets")));
+
+/* ROUTES WITH FILES */
+app.post(
+  "/auth/register",
+  rateLimit("register"),
+  uploadImage("picture"),
+  register
+);
+app.post(
+  "/posts",
+  verifyToken,
+  rateLimit("post", "user"),
+  uploadImage("picture"),
+  matchUser("body"),
+  createPost
+);
+app.patch(
+  "/users/:id",
+  verifyToken,
+  matchUser("params", "id"),
+  uploadImage("picture"),
+  updateUser
+);
+
+/* ROUTES */
+app.use("/auth", authRoutes);
+app.use("/users", userRoutes);
+app.use("/posts", postRoutes);
+app.use("/friend-requests", friendRequestRoutes);
+app.use("/search", searchRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/conversations", conversationRoutes);
+app.use("/media", mediaRoutes);
+
+export default app;
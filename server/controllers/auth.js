@@ -1,20 +1,47 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import User from "../models/User.js";
+import User, { EMAIL_PATTERN } from "../models/User.js";
+import {
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from "../services/accountTokens.js";
+import {
+  clearLoginFailures,
+  getLockout,
+  recordLoginFailure,
+} from "../services/lockout.js";
+import {
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  clearRefreshCookie,
+  revokeUserTokens,
+  refreshTokenExpiry,
+} from "../services/tokens.js";
+import { createSession } from "../services/sessions.js";
+import {
+  TWO_FACTOR_FIELDS,
+  signChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+} from "../services/twoFactor.js";
+
+const MIN_PASSWORD_LENGTH = 5;
+// the same answer for an unknown email and a wrong password
+const LOGIN_FAILED = "Invalid email or password. ";
 
 /* REGISTER USER */
 export const register = async (req, res) => {
   try {
-    const {
-      firstName,
-      lastName,
-      email,
-      password,
-      picturePath,
-      friends,
-      location,
-      occupation,
-    } = req.body;
+    const { firstName, lastName, email, password, location, occupation } =
+      req.body;
+
+    if (!EMAIL_PATTERN.test(String(email || "").trim())) {
+      return res
+        .status(400)
+        .json({ msg: "Please enter a valid email address. " });
+    }
 
     const salt = await bcrypt.genSalt();
     const passwordHash = await bcrypt.hash(password, salt);
@@ -24,14 +51,15 @@ export const register = async (req, res) => {
       lastName,
       email,
       password: passwordHash,
-      picturePath,
-      friends,
+      picturePath: req.file ? req.file.filename : "",
       location,
       occupation,
-      viewedProfile: Math.floor(Math.random() * 10000),
-      impressions: Math.floor(Math.random() * 10000),
     });
     const savedUser = await newUser.save();
+    // the account exists either way; the user can ask for another email
+    sendVerificationEmail(savedUser).catch((err) =>
+      console.log(`${err} verification email not sent`)
+    );
     res.status(201).json(savedUser);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -41,17 +69,205 @@ export const register = async (req, res) => {
 /* LOGGING IN */
 export const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
-    const user = await User.findOne({ email: email });
+    const { password } = req.body;
+    const email = String(req.body.email || "")
+      .trim()
+      .toLowerCase();
+    const lockedFor = await getLockout(email);
+    if (lockedFor) return lockedOut(res, lockedFor);
+
+    const user = await User.findOne({ email });
+    // compare against a throwaway hash for unknown emails so both failures
+    // take about as long
+    const isMatch = await bcrypt.compare(
+      String(password || ""),
+      user ? user.password : await getDummyHash()
+    );
+    if (!user || !isMatch) {
+      await recordLoginFailure(email);
+      return res.status(400).json({ msg: LOGIN_FAILED });
+    }
+
+    // the password alone is not enough: POST /auth/2fa finishes the login
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user.id),
+      });
+    }
+
+    await startSession(req, res, user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      return res
+        .status(401)
+        .json({ msg: "Login expired. Please sign in again. " });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ msg: "User does not exist. " });
+    }
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) return lockedOut(res, lockedFor);
+
+    if (!verifySecondFactor(user, code)) {
+      await recordLoginFailure(user.email);
+      return res.status(400).json({ msg: "Invalid code. " });
+    }
+    await user.save();
+
+    await startSession(req, res, user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/* REFRESHING */
+export const refresh = async (req, res) => {
+  try {
+    const rotated = await rotateRefreshToken(req, res);
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ msg: "Session expired. " });
+    }
+
+    res.status(200).json({ token: rotated.accessToken });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/* LOGGING OUT */
+export const logout = async (req, res) => {
+  try {
+    await revokeRefreshToken(req);
+    clearRefreshCookie(res);
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/* EMAIL VERIFICATION */
+export const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, "verifyEmail");
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ msg: "This link is invalid or has expired. " });
+    }
+
+    await User.updateOne({ _id: userId }, { emailVerified: true });
+    res.status(200).json({ emailVerified: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
     if (!user) return res.status(400).json({ msg: "User does not exist. " });
+    if (user.emailVerified) {
+      return res.status(400).json({ msg: "Email is already verified. " });
+    }
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ msg: "Invalid credentials. " });
+    await sendVerificationEmail(user);
+    res.status(204).end();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
-    delete user.password;
-    res.status(200).json({ token, user });
+/* PASSWORD RESET */
+// answers the same, and as quickly, whether or not the email is registered
+export const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      email: String(req.body.email || "")
+        .trim()
+        .toLowerCase(),
+    });
+    // not awaited: a slow or failing send would give the account away
+    if (user) {
+      sendPasswordResetEmail(user).catch((err) =>
+        console.log(`${err} password reset email not sent`)
+      );
+    }
+
+    res.status(200).json({
+      msg: "If that email is registered, a reset link is on its way. ",
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 };
+
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        msg: `Password must be at least ${MIN_PASSWORD_LENGTH} characters. `,
+      });
+    }
+
+    const userId = await consumeAccountToken(token, "resetPassword");
+    if (!userId) {
+      return res
+        .status(400)
+        .json({ msg: "This link is invalid or has expired. " });
+    }
+
+    const salt = await bcrypt.genSalt();
+    const passwordHash = await bcrypt.hash(password, salt);
+    // the link proves control of the inbox, so it verifies the email too
+    await User.updateOne(
+      { _id: userId },
+      { password: passwordHash, emailVerified: true }
+    );
+    await revokeUserTokens(userId);
+
+    res.status(200).json({ msg: "Password updated. Please log in. " });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/* HELPERS */
+let dummyHash = null;
+const getDummyHash = async () => {
+  if (!dummyHash) dummyHash = await bcrypt.hash("not-a-real-password", 10);
+  return dummyHash;
+};
+
+const lockedOut = (res, seconds) => {
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    msg: `Too many failed attempts. Try again in ${Math.ceil(
+      seconds / 60
+    )} minute(s). `,
+  });
+};
+
+const startSession = async (req, res, user) => {
+  await clearLoginFailures(user.email);
+  const session = await createSession(req, user.id, refreshTokenExpiry());
+  const token = signAccessToken(user.id, session.id);
+  await issueRefreshToken(res, user.id, session.id);
+  const { password, twoFactor, ...profile } = user.toObject();
+  res.status(200).json({
+    token,
+    user: { ...profile, twoFactor: { enabled: twoFactor.enabled } },
+  });
+};
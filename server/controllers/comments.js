@@ -0,0 +1,180 @@
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import {
+  getBlockedIds,
+  hideBlockedComments,
+  hideComments,
+  isBlockedBetween,
+} from "../services/blocks.js";
+import { notify } from "../services/notifications.js";
+import { emitPostToFriendsOf } from "../services/realtime.js";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+// what is wrong with the text of a comment, or null when it is usable
+const checkText = (text) => {
+  if (typeof text !== "string" || !text.trim()) return "text is required.";
+  if (text.trim().length > MAX_COMMENT_LENGTH) {
+    return `text must be at most ${MAX_COMMENT_LENGTH} characters.`;
+  }
+  return null;
+};
+
+/* CREATE */
+export const addComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text, parentId = null } = req.body;
+    const invalid = checkText(text);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const post = await Post.findById(id);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    if (await isBlockedBetween(req.user.id, post.userId)) {
+      return res.status(404).json({ message: "Post not found." });
+    }
+
+    const parent = parentId && post.comments.id(parentId);
+    if (parentId && !parent) {
+      return res.status(404).json({ message: "Parent comment not found." });
+    }
+    if (parent && (await isBlockedBetween(req.user.id, parent.userId))) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    const user = await User.findById(req.user.id);
+    post.comments.push({
+      userId: req.user.id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      userPicturePath: user.picturePath,
+      text,
+      parentId,
+      likes: {},
+    });
+    const updatedPost = await post.save();
+
+    const recipients = new Set([post.userId, parent && parent.userId]);
+    await Promise.all(
+      [...recipients].map((userId) =>
+        notify({ userId, actorId: req.user.id, type: "comment", postId: id })
+      )
+    );
+    emitPostToFriendsOf(post.userId, "comment-added", updatedPost);
+
+    const [visiblePost] = await hideBlockedComments(req.user.id, [updatedPost]);
+    res.status(201).json(visiblePost);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+/* READ */
+export const getComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await Post.findById(id);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    const blocked = await getBlockedIds(req.user.id);
+    if (blocked.includes(post.userId)) {
+      return res.status(404).json({ message: "Post not found." });
+    }
+    res
+      .status(200)
+      .json(post.comments.filter(({ userId }) => !blocked.includes(userId)));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* UPDATE */
+export const updateComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { text } = req.body;
+    const invalid = checkText(text);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const post = await Post.findById(id);
+    const comment = post && post.comments.id(commentId);
+    if (!comment)
+      return res.status(404).json({ message: "Comment not found." });
+
+    if (comment.userId !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    comment.text = text;
+    const updatedPost = await post.save();
+
+    const [visiblePost] = await hideBlockedComments(req.user.id, [updatedPost]);
+    res.status(200).json(visiblePost);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const likeComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const userId = req.user.id;
+    const post = await Post.findById(id);
+    const comment = post && post.comments.id(commentId);
+    if (!comment)
+      return res.status(404).json({ message: "Comment not found." });
+
+    const blocked = await getBlockedIds(userId);
+    if (blocked.includes(post.userId) || blocked.includes(comment.userId)) {
+      return res.status(404).json({ message: "Comment not found." });
+    }
+
+    if (comment.likes.get(userId)) {
+      comment.likes.delete(userId);
+    } else {
+      comment.likes.set(userId, true);
+    }
+    const updatedPost = await post.save();
+
+    const [visiblePost] = hideComments([updatedPost], blocked);
+    res.status(200).json(visiblePost);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* DELETE */
+export const deleteComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const post = await Post.findById(id);
+    const comment = post && post.comments.id(commentId);
+    if (!comment)
+      return res.status(404).json({ message: "Comment not found." });
+
+    if (comment.userId !== req.user.id && post.userId !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    // removing a comment takes its whole reply thread with it
+    const removed = new Set([commentId]);
+    let grew = true;
+    while (grew) {
+      grew = false;
+      post.comments.forEach((c) => {
+        if (c.parentId && removed.has(c.parentId) && !removed.has(c.id)) {
+          removed.add(c.id);
+          grew = true;
+        }
+      });
+    }
+    post.comments = post.comments.filter((c) => !removed.has(c.id));
+    const updatedPost = await post.save();
+
+    const [visiblePost] = await hideBlockedComments(req.user.id, [updatedPost]);
+    res.status(200).json(visiblePost);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
@@ -0,0 +1,165 @@
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import { getBlockedIds, isBlockedBetween } from "../services/blocks.js";
+import { findPage } from "../utils/pagination.js";
+
+/* CREATE */
+export const startConversation = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const me = req.user.id;
+    const [user, other] = await Promise.all([
+      User.findById(me),
+      User.findById(userId),
+    ]);
+    if (!other || (await isBlockedBetween(me, userId))) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    if (!user.friends.includes(userId) || !other.friends.includes(me)) {
+      return res
+        .status(403)
+        .json({ message: "You can only message your friends." });
+    }
+
+    let conversation = await Conversation.findOne({
+      participants: { $all: [me, userId] },
+    });
+    if (!conversation) {
+      conversation = await new Conversation({
+        participants: [me, userId],
+      }).save();
+    }
+
+    res.status(201).json(await formatConversation(conversation, me));
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const sendMessage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+    const conversation = await findOwnConversation(id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found." });
+    }
+    const otherId = conversation.participants.find((p) => p !== req.user.id);
+    if (await isBlockedBetween(req.user.id, otherId)) {
+      return res
+        .status(403)
+        .json({ message: "You can no longer message this user." });
+    }
+
+    const message = await new Message({
+      conversationId: id,
+      senderId: req.user.id,
+      text,
+    }).save();
+    conversation.lastMessage = {
+      text: message.text,
+      senderId: message.senderId,
+      createdAt: message.createdAt,
+    };
+    await conversation.save();
+
+    res.status(201).json(message);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+/* READ */
+export const getConversations = async (req, res) => {
+  try {
+    const blocked = await getBlockedIds(req.user.id);
+    const conversations = await Conversation.find({
+      $and: [
+        { participants: req.user.id },
+        { participants: { $nin: blocked } },
+      ],
+    }).sort({ updatedAt: -1 });
+
+    res
+      .status(200)
+      .json(
+        await Promise.all(
+          conversations.map((c) => formatConversation(c, req.user.id))
+        )
+      );
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getMessages = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cursor, limit } = req.query;
+    const conversation = await findOwnConversation(id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found." });
+    }
+
+    const { items, nextCursor } = await findPage(
+      Message,
+      { conversationId: id },
+      { cursor, limit }
+    );
+    res.status(200).json({ messages: items, nextCursor });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* UPDATE */
+export const markConversationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const conversation = await findOwnConversation(id, req.user.id);
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found." });
+    }
+
+    const readAt = new Date();
+    await Message.updateMany(
+      { conversationId: id, senderId: { $ne: req.user.id }, readAt: null },
+      { readAt }
+    );
+    res.status(200).json({ readAt });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* HELPERS */
+const findOwnConversation = (id, userId) =>
+  Conversation.findOne({ _id: id, participants: userId });
+
+const formatConversation = async (conversation, userId) => {
+  const otherId = conversation.participants.find((id) => id !== userId);
+  const [other, unreadCount] = await Promise.all([
+    User.findById(otherId),
+    Message.countDocuments({
+      conversationId: conversation.id,
+      senderId: otherId,
+      readAt: null,
+    }),
+  ]);
+  const { _id, lastMessage, updatedAt } = conversation;
+
+  return {
+    _id,
+    lastMessage,
+    updatedAt,
+    unreadCount,
+    user: other && {
+      _id: other._id,
+      firstName: other.firstName,
+      lastName: other.lastName,
+      picturePath: other.picturePath,
+    },
+  };
+};
@@ -0,0 +1,210 @@
+import mongoose from "mongoose";
+import FriendRequest from "../models/FriendRequest.js";
+import User from "../models/User.js";
+import { isBlockedBetween } from "../services/blocks.js";
+import { notify } from "../services/notifications.js";
+
+const DUPLICATE_KEY = 11000;
+
+/* CREATE */
+export const sendFriendRequest = async (req, res) => {
+  try {
+    const from = req.user.id;
+    const { userId: to } = req.params;
+    if (!mongoose.isValidObjectId(to)) {
+      return res.status(400).json({ message: "Invalid user id." });
+    }
+    if (from === to) {
+      return res.status(400).json({ message: "Cannot befriend yourself." });
+    }
+
+    const [user, target] = await Promise.all([
+      User.findById(from),
+      User.findById(to),
+    ]);
+    if (!target || (await isBlockedBetween(from, to))) {
+      return res.status(404).json({ message: "User not found." });
+    }
+    if (user.friends.includes(to)) {
+      return res.status(400).json({ message: "Already friends." });
+    }
+
+    // a request in the other direction means both sides want this
+    const reverse = await FriendRequest.findOne({
+      from: to,
+      to: from,
+      status: "pending",
+    });
+    if (reverse) {
+      await acceptRequest(reverse);
+    } else {
+      // the unique index on pending pairs also catches two requests at once
+      const sent = await new FriendRequest({ from, to }).save().catch((err) => {
+        if (err.code === DUPLICATE_KEY) return null;
+        throw err;
+      });
+      if (!sent) {
+        return res.status(409).json({ message: "Request already sent." });
+      }
+      await notify({ userId: to, actorId: from, type: "friendRequest" });
+    }
+
+    res.status(201).json(await getFriendState(from));
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+/* READ */
+export const getIncomingRequests = async (req, res) => {
+  try {
+    const requests = await FriendRequest.find({
+      to: req.user.id,
+      status: "pending",
+    }).sort({ createdAt: -1 });
+    res.status(200).json(await formatRequests(requests, "from"));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getOutgoingRequests = async (req, res) => {
+  try {
+    const requests = await FriendRequest.find({
+      from: req.user.id,
+      status: "pending",
+    }).sort({ createdAt: -1 });
+    res.status(200).json(await formatRequests(requests, "to"));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* UPDATE */
+export const acceptFriendRequest = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid request id." });
+    }
+    const request = await findPending(req.params.id);
+    if (!request)
+      return res.status(404).json({ message: "Request not found." });
+    if (request.to !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+    if (await isBlockedBetween(request.from, request.to)) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    await acceptRequest(request);
+    res.status(200).json(await getFriendState(req.user.id));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const declineFriendRequest = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid request id." });
+    }
+    const request = await findPending(req.params.id);
+    if (!request)
+      return res.status(404).json({ message: "Request not found." });
+    if (request.to !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    request.status = "declined";
+    await request.save();
+    res.status(200).json(await getFriendState(req.user.id));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const cancelFriendRequest = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid request id." });
+    }
+    const request = await findPending(req.params.id);
+    if (!request)
+      return res.status(404).json({ message: "Request not found." });
+    if (request.from !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    request.status = "cancelled";
+    await request.save();
+    res.status(200).json(await getFriendState(req.user.id));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* HELPERS */
+const findPending = (id) =>
+  FriendRequest.findOne({ _id: id, status: "pending" });
+
+const acceptRequest = async (request) => {
+  const [sender, recipient] = await Promise.all([
+    User.findById(request.from),
+    User.findById(request.to),
+  ]);
+  if (!sender.friends.includes(request.to)) sender.friends.push(request.to);
+  if (!recipient.friends.includes(request.from)) {
+    recipient.friends.push(request.from);
+  }
+  request.status = "accepted";
+  await Promise.all([sender.save(), recipient.save(), request.save()]);
+  await notify({
+    userId: request.from,
+    actorId: request.to,
+    type: "friendAccept",
+  });
+};
+
+const formatUser = ({
+  _id,
+  firstName,
+  lastName,
+  occupation,
+  location,
+  picturePath,
+}) => {
+  return { _id, firstName, lastName, occupation, location, picturePath };
+};
+
+const formatRequests = async (requests, field) => {
+  const users = await User.find({
+    _id: { $in: requests.map((r) => r[field]) },
+  });
+  return requests
+    .map(({ _id, from, to, status, createdAt }) => {
+      const user = users.find((u) => u.id === (field === "from" ? from : to));
+      return (
+        user && { _id, from, to, status, createdAt, user: formatUser(user) }
+      );
+    })
+    .filter(Boolean);
+};
+
+const getFriendState = async (userId) => {
+  const user = await User.findById(userId);
+  const [incoming, outgoing, friends] = await Promise.all([
+    FriendRequest.find({ to: userId, status: "pending" }).sort({
+      createdAt: -1,
+    }),
+    FriendRequest.find({ from: userId, status: "pending" }).sort({
+      createdAt: -1,
+    }),
+    User.find({ _id: { $in: user.friends } }),
+  ]);
+
+  return {
+    incoming: await formatRequests(incoming, "from"),
+    outgoing: await formatRequests(outgoing, "to"),
+    friends: friends.map(formatUser),
+  };
+};
@@ -0,0 +1,81 @@
+import path from "path";
+import { storage } from "../storage/index.js";
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+// uploads are named after their sha256, so their bytes can never change
+const isContentHashed = (name) => /^[a-f0-9]{64}\./.test(name);
+
+const parseRange = (header, length) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header);
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // suffix range: the last N bytes
+    start = Math.max(length - Number(match[2]), 0);
+    end = length - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), length - 1) : length - 1;
+  }
+  return start <= end && start < length ? { start, end } : null;
+};
+
+/* READ */
+export const getMedia = async (req, res) => {
+  try {
+    const name = path.basename(req.params.id);
+    const file = await storage.stat(name);
+    if (!file) return res.status(404).json({ message: "Media not found." });
+
+    const etag = `"${name}-${file.length}"`;
+    res.set({
+      "Accept-Ranges": "bytes",
+      "Content-Type":
+        file.contentType ||
+        CONTENT_TYPES[path.extname(name).toLowerCase()] ||
+        "application/octet-stream",
+      "Cache-Control": isContentHashed(name)
+        ? "public, max-age=31536000, immutable"
+        : "public, max-age=86400",
+      ETag: etag,
+      "Last-Modified": new Date(file.uploadDate).toUTCString(),
+    });
+
+    if (req.headers["if-none-match"] === etag) return res.status(304).end();
+
+    let range;
+    if (req.headers.range) {
+      range = parseRange(req.headers.range, file.length);
+      if (!range) {
+        res.set("Content-Range", `bytes */${file.length}`);
+        return res.status(416).end();
+      }
+      res.status(206).set({
+        "Content-Range": `bytes ${range.start}-${range.end}/${file.length}`,
+        "Content-Length": range.end - range.start + 1,
+      });
+    } else {
+      res.status(200).set("Content-Length", file.length);
+    }
+
+    storage
+      .createReadStream(name, range)
+      .on("error", (err) => {
+        if (!res.headersSent)
+          return res.status(500).json({ error: err.message });
+        res.destroy(err);
+      })
+      .pipe(res);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,58 @@
+import Notification from "../models/Notification.js";
+import { getBlockedIds } from "../services/blocks.js";
+import { countUnread } from "../services/notifications.js";
+import { findPage } from "../utils/pagination.js";
+
+/* READ */
+export const getNotifications = async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    const blocked = await getBlockedIds(req.user.id);
+    const [{ items, nextCursor }, unreadCount] = await Promise.all([
+      findPage(
+        Notification,
+        { userId: req.user.id, actorId: { $nin: blocked } },
+        { cursor, limit }
+      ),
+      countUnread(req.user.id, blocked),
+    ]);
+    res.status(200).json({ notifications: items, nextCursor, unreadCount });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* UPDATE */
+export const markRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: id, userId: req.user.id },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found." });
+    }
+
+    const unreadCount = await countUnread(
+      req.user.id,
+      await getBlockedIds(req.user.id)
+    );
+    res.status(200).json({ notification, unreadCount });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const markAllRead = async (req, res) => {
+  try {
+    await Notification.updateMany(
+      { userId: req.user.id, read: false },
+      { read: true }
+    );
+    res.status(200).json({ unreadCount: 0 });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
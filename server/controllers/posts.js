@@ -1,10 +1,29 @@
+import mongoose from "mongoose";
 import Post from "../models/Post.js";
+import PostLike from "../models/PostLike.js";
 import User from "../models/User.js";
+import { removeUnusedAsset } from "../services/assets.js";
+import {
+  getBlockedIds,
+  getHiddenAuthorIds,
+  hideBlockedComments,
+  hideComments,
+  isBlockedBetween,
+} from "../services/blocks.js";
+import { getRankedFeed } from "../services/feed.js";
+import { notify } from "../services/notifications.js";
+import { emitPostToFriendsOf } from "../services/realtime.js";
+import {
+  MAX_IMPRESSION_BATCH,
+  recordImpressions,
+} from "../services/tracking.js";
+import { findPage } from "../utils/pagination.js";
 
 /* CREATE */
 export const createPost = async (req, res) => {
   try {
-    const { userId, description, picturePath } = req.body;
+    const { description } = req.body;
+    const userId = req.user.id;
     const user = await User.findById(userId);
     const newPost = new Post({
       userId,
@@ -13,24 +32,86 @@ export const createPost = async (req, res) => {
       location: user.location,
       description,
       userPicturePath: user.picturePath,
-      picturePath,
+      picturePath: req.file ? req.file.filename : undefined,
+      pictureWidth: req.file ? req.file.width : undefined,
+      pictureHeight: req.file ? req.file.height : undefined,
       likes: {},
       comments: [],
     });
-    await newPost.save();
-
-    const post = await Post.find();
+    const post = await newPost.save();
+    emitPostToFriendsOf(userId, "post-created", post);
     res.status(201).json(post);
   } catch (err) {
     res.status(409).json({ message: err.message });
   }
 };
 
+export const recordPostImpressions = async (req, res) => {
+  try {
+    const { postIds } = req.body;
+    if (!Array.isArray(postIds) || postIds.length > MAX_IMPRESSION_BATCH) {
+      return res.status(400).json({
+        message: `postIds must be an array of at most ${MAX_IMPRESSION_BATCH} ids.`,
+      });
+    }
+    const ids = [...new Set(postIds.map(String))].filter((id) =>
+      mongoose.isValidObjectId(id)
+    );
+
+    const recorded = await recordImpressions(ids, req.user.id);
+    res.status(200).json({ recorded });
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
 /* READ */
 export const getFeedPosts = async (req, res) => {
   try {
-    const post = await Post.find();
-    res.status(200).json(post);
+    const { cursor, limit } = req.query;
+    const [hidden, blocked] = await Promise.all([
+      getHiddenAuthorIds(req.user.id),
+      getBlockedIds(req.user.id),
+    ]);
+    const { items, nextCursor } = await findPage(
+      Post,
+      { userId: { $nin: hidden } },
+      { cursor, limit }
+    );
+    res.status(200).json({ posts: hideComments(items, blocked), nextCursor });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getFriendsFeed = async (req, res) => {
+  try {
+    const { mode = "ranked", cursor, limit } = req.query;
+    const [user, hidden, blocked] = await Promise.all([
+      User.findById(req.user.id),
+      getHiddenAuthorIds(req.user.id),
+      getBlockedIds(req.user.id),
+    ]);
+    const authorIds = [req.user.id, ...user.friends.map(String)].filter(
+      (id) => !hidden.includes(id)
+    );
+
+    if (mode === "latest") {
+      const { items, nextCursor } = await findPage(
+        Post,
+        { userId: { $in: authorIds } },
+        { cursor, limit }
+      );
+      return res
+        .status(200)
+        .json({ posts: hideComments(items, blocked), nextCursor });
+    }
+
+    const { posts, nextCursor } = await getRankedFeed(req.user.id, authorIds, {
+      cursor,
+      limit,
+    });
+    res.status(200).json({ posts: hideComments(posts, blocked), nextCursor });
   } catch (err) {
     res.status(404).json({ message: err.message });
   }
@@ -39,8 +120,20 @@ export const getFeedPosts = async (req, res) => {
 export const getUserPosts = async (req, res) => {
   try {
     const { userId } = req.params;
-    const post = await Post.find({ userId });
-    res.status(200).json(post);
+    const { cursor, limit } = req.query;
+    if (await isBlockedBetween(req.user.id, userId)) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    const { items, nextCursor } = await findPage(
+      Post,
+      { userId },
+      { cursor, limit }
+    );
+    res.status(200).json({
+      posts: await hideBlockedComments(req.user.id, items),
+      nextCursor,
+    });
   } catch (err) {
     res.status(404).json({ message: err.message });
   }
@@ -50,8 +143,11 @@ export const getUserPosts = async (req, res) => {
 export const likePost = async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
+    const userId = req.user.id;
     const post = await Post.findById(id);
+    if (!post || (await isBlockedBetween(userId, post.userId))) {
+      return res.status(404).json({ message: "Post not found." });
+    }
     const isLiked = post.likes.get(userId);
 
     if (isLiked) {
@@ -65,8 +161,72 @@ export const likePost = async (req, res) => {
       { likes: post.likes },
       { new: true }
     );
+    if (isLiked) {
+      await PostLike.deleteOne({ postId: id, userId });
+    } else {
+      await PostLike.updateOne(
+        { postId: id, userId },
+        { $setOnInsert: { postUserId: post.userId } },
+        { upsert: true }
+      );
+      await notify({
+        userId: post.userId,
+        actorId: userId,
+        type: "like",
+        postId: id,
+      });
+    }
+    emitPostToFriendsOf(post.userId, "post-liked", updatedPost);
+
+    const [visiblePost] = await hideBlockedComments(userId, [updatedPost]);
+    res.status(200).json(visiblePost);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const updatePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { description } = req.body;
+    if (typeof description !== "string" || !description.trim()) {
+      return res.status(400).json({ message: "description is required." });
+    }
+    const post = await Post.findById(id);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    if (post.userId !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    if (description !== post.description) {
+      post.edits.push({ description: post.description });
+      post.description = description;
+    }
+    const updatedPost = await post.save();
+
+    const [visiblePost] = await hideBlockedComments(req.user.id, [updatedPost]);
+    res.status(200).json(visiblePost);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+/* DELETE */
+export const deletePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await Post.findById(id);
+    if (!post) return res.status(404).json({ message: "Post not found." });
+
+    if (post.userId !== req.user.id) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    await post.deleteOne();
+    if (post.picturePath) await removeUnusedAsset(post.picturePath);
 
-    res.status(200).json(updatedPost);
+    res.status(200).json({ _id: id });
   } catch (err) {
     res.status(404).json({ message: err.message });
   }
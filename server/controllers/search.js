@@ -0,0 +1,88 @@
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { getBlockedIds, hideComments } from "../services/blocks.js";
+
+const MAX_LIMIT = 50;
+const USER_FIELDS = {
+  firstName: 1,
+  lastName: 1,
+  occupation: 1,
+  location: 1,
+  picturePath: 1,
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const paginate = async (Model, filter, projection, page, limit) => {
+  const [results, total] = await Promise.all([
+    Model.find(filter, { ...projection, score: { $meta: "textScore" } })
+      .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Model.countDocuments(filter),
+  ]);
+  return { results, page, total, totalPages: Math.ceil(total / limit) };
+};
+
+/* READ */
+export const search = async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+    const type = req.query.type || "all";
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, MAX_LIMIT);
+    if (!q) return res.status(400).json({ message: "Missing search query." });
+
+    const filter = { $text: { $search: q } };
+    const blocked = await getBlockedIds(req.user.id);
+    const response = {};
+    if (type === "all" || type === "people") {
+      response.people = await paginate(
+        User,
+        { ...filter, _id: { $nin: blocked } },
+        USER_FIELDS,
+        page,
+        limit
+      );
+    }
+    if (type === "all" || type === "posts") {
+      const posts = await paginate(
+        Post,
+        { ...filter, userId: { $nin: blocked } },
+        {},
+        page,
+        limit
+      );
+      response.posts = {
+        ...posts,
+        results: hideComments(posts.results, blocked),
+      };
+    }
+
+    res.status(200).json(response);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+// text indexes only match whole words, so typeahead uses a prefix match
+export const suggest = async (req, res) => {
+  try {
+    const q = (req.query.q || "").trim();
+    if (!q) return res.status(200).json([]);
+
+    const prefix = new RegExp(`^${escapeRegex(q)}`, "i");
+    const blocked = await getBlockedIds(req.user.id);
+    const users = await User.find(
+      {
+        _id: { $nin: blocked },
+        $or: [{ firstName: prefix }, { lastName: prefix }],
+      },
+      USER_FIELDS
+    ).limit(5);
+
+    res.status(200).json(users);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import { listSessions } from "../services/sessions.js";
+import { revokeFamily, revokeUserTokens } from "../services/tokens.js";
+
+/* READ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    const formattedSessions = sessions.map(
+      ({ _id, device, userAgent, ip, lastSeenAt, createdAt }) => ({
+        _id,
+        device,
+        userAgent,
+        ip,
+        lastSeenAt,
+        createdAt,
+        current: String(_id) === req.user.sid,
+      })
+    );
+    res.status(200).json(formattedSessions);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* DELETE */
+export const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session =
+      mongoose.isValidObjectId(id) &&
+      (await Session.findOne({ _id: id, userId: req.user.id }));
+    if (!session) {
+      return res.status(404).json({ message: "Session not found." });
+    }
+
+    await revokeFamily(id);
+    res.status(204).end();
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+// signs out every device except the one making the request
+export const deleteOtherSessions = async (req, res) => {
+  try {
+    await revokeUserTokens(req.user.id, req.user.sid);
+    res.status(204).end();
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
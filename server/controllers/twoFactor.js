@@ -0,0 +1,132 @@
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import {
+  clearLoginFailures,
+  getLockout,
+  recordLoginFailure,
+} from "../services/lockout.js";
+import {
+  TWO_FACTOR_FIELDS,
+  checkTotp,
+  createEnrollment,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../services/twoFactor.js";
+
+// wrong passwords and codes here count towards the same lockout as logins,
+// so a stolen session cannot be used to guess them
+const lockedOut = (res, seconds) => {
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({
+    message: `Too many failed attempts. Try again in ${Math.ceil(
+      seconds / 60
+    )} minute(s).`,
+  });
+};
+
+/* ENROLL */
+// the secret stays pending until a first code proves the app has it
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    if (user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already on." });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await createEnrollment(user.email);
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) return lockedOut(res, lockedFor);
+
+    const { twoFactor } = user;
+    const step = checkTotp(req.body.code, twoFactor.pendingSecret);
+    if (twoFactor.enabled || step === null) {
+      await recordLoginFailure(user.email);
+      return res.status(400).json({ message: "Invalid code." });
+    }
+    await clearLoginFailures(user.email);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    twoFactor.enabled = true;
+    twoFactor.secret = twoFactor.pendingSecret;
+    twoFactor.pendingSecret = undefined;
+    twoFactor.recoveryCodes = hashes;
+    twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.status(200).json({ enabled: true, recoveryCodes: codes });
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+/* UPDATE */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) return lockedOut(res, lockedFor);
+
+    if (!user.twoFactor.enabled || !verifySecondFactor(user, req.body.code)) {
+      await recordLoginFailure(user.email);
+      return res.status(400).json({ message: "Invalid code." });
+    }
+    await clearLoginFailures(user.email);
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({ recoveryCodes: codes });
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+/* DELETE */
+// needs both the password and a current code, so a stolen session cannot
+// quietly turn it off
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    const lockedFor = await getLockout(user.email);
+    if (lockedFor) return lockedOut(res, lockedFor);
+
+    const isMatch = await bcrypt.compare(String(password || ""), user.password);
+    if (
+      !isMatch ||
+      !user.twoFactor.enabled ||
+      !verifySecondFactor(user, code)
+    ) {
+      await recordLoginFailure(user.email);
+      return res.status(400).json({ message: "Invalid password or code." });
+    }
+    await clearLoginFailures(user.email);
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ enabled: false });
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
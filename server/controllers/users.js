@@ -1,11 +1,78 @@
+import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import Post from "../models/Post.js";
+import ProfileView from "../models/ProfileView.js";
 import User from "../models/User.js";
+import {
+  cancelDeletion,
+  scheduleDeletion,
+} from "../services/accountDeletion.js";
+import { ANALYTICS_RANGES, getAnalytics } from "../services/analytics.js";
+import { removeUnusedAsset } from "../services/assets.js";
+import {
+  blockUser,
+  getBlockedIds,
+  isBlockedBetween,
+  muteUser,
+  unblockUser,
+  unmuteUser,
+} from "../services/blocks.js";
+import { writeExport } from "../services/dataExport.js";
+import { dismissSuggestion, getSuggestions } from "../services/suggestions.js";
+import { revokeUserTokens } from "../services/tokens.js";
+import { recordProfileView } from "../services/tracking.js";
+import { parseLimit } from "../utils/pagination.js";
+
+// all a visitor gets of someone else's profile, besides their public links
+const PUBLIC_PROFILE_FIELDS = [
+  "_id",
+  "firstName",
+  "lastName",
+  "picturePath",
+  "friends",
+  "location",
+  "occupation",
+  "viewedProfile",
+  "impressions",
+  "createdAt",
+  "updatedAt",
+];
+
+export const recordView = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = await User.exists({ _id: id });
+    if (!user || (await isBlockedBetween(id, req.user.id))) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    const recorded = await recordProfileView(id, req.user.id);
+    res.status(200).json({ recorded });
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
 
 /* READ */
 export const getUser = async (req, res) => {
   try {
     const { id } = req.params;
     const user = await User.findById(id);
-    res.status(200).json(user);
+    if (!user || (await isBlockedBetween(id, req.user.id))) {
+      return res.status(404).json({ message: "User not found." });
+    }
+
+    const { password, ...profile } = user.toObject();
+    if (id === req.user.id) return res.status(200).json(profile);
+
+    const visible = Object.fromEntries(
+      PUBLIC_PROFILE_FIELDS.map((field) => [field, profile[field]])
+    );
+    visible.socialLinks = profile.socialLinks.filter(
+      ({ visibility }) => visibility === "public"
+    );
+    res.status(200).json(visible);
   } catch (err) {
     res.status(404).json({ message: err.message });
   }
@@ -15,9 +82,15 @@ export const getUserFriends = async (req, res) => {
   try {
     const { id } = req.params;
     const user = await User.findById(id);
+    const blocked = await getBlockedIds(req.user.id);
+    if (!user || blocked.includes(id)) {
+      return res.status(404).json({ message: "User not found." });
+    }
 
     const friends = await Promise.all(
-      user.friends.map((id) => User.findById(id))
+      user.friends
+        .filter((id) => !blocked.includes(id))
+        .map((id) => User.findById(id))
     );
     const formattedFriends = friends.map(
       ({ _id, firstName, lastName, occupation, location, picturePath }) => {
@@ -30,20 +103,241 @@ export const getUserFriends = async (req, res) => {
   }
 };
 
+/* CREATE */
+export const addSocialLink = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { platform, url, visibility } = req.body;
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    if (user.socialLinks.some((link) => link.platform === platform)) {
+      return res
+        .status(409)
+        .json({ message: `A ${platform} link already exists.` });
+    }
+    user.socialLinks.push({ platform, url, visibility });
+    await user.save();
+
+    res.status(201).json(user.socialLinks);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const addBlock = async (req, res) => {
+  try {
+    const { id, targetId } = req.params;
+    const error = await checkTarget(id, targetId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await blockUser(id, targetId);
+    res.status(201).json(await getBlockState(id));
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const addMute = async (req, res) => {
+  try {
+    const { id, targetId } = req.params;
+    const error = await checkTarget(id, targetId);
+    if (error) return res.status(error.status).json({ message: error.message });
+
+    await muteUser(id, targetId);
+    res.status(201).json(await getBlockState(id));
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+// most recent distinct viewers, each with the time of their latest visit
+export const getProfileViewers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const viewers = await ProfileView.aggregate([
+      { $match: { profileId: id } },
+      { $group: { _id: "$viewerId", viewedAt: { $max: "$updatedAt" } } },
+      { $sort: { viewedAt: -1 } },
+      { $limit: parseLimit(req.query.limit) },
+    ]);
+
+    const users = await User.find(
+      { _id: { $in: viewers.map(({ _id }) => _id) } },
+      { firstName: 1, lastName: 1, occupation: 1, location: 1, picturePath: 1 }
+    );
+    const byId = new Map(users.map((user) => [user.id, user]));
+    const formattedViewers = viewers
+      .filter(({ _id }) => byId.has(_id))
+      .map(({ _id, viewedAt }) => {
+        const { firstName, lastName, occupation, location, picturePath } =
+          byId.get(_id);
+        return {
+          _id,
+          firstName,
+          lastName,
+          occupation,
+          location,
+          picturePath,
+          viewedAt,
+        };
+      });
+
+    res.status(200).json(formattedViewers);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getUserAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const range = parseInt(req.query.range, 10) || ANALYTICS_RANGES[0];
+    if (!ANALYTICS_RANGES.includes(range)) {
+      return res.status(400).json({
+        message: `range must be one of ${ANALYTICS_RANGES.join(", ")} days.`,
+      });
+    }
+
+    const analytics = await getAnalytics(id, range);
+    if (!analytics) return res.status(404).json({ message: "User not found." });
+    res.status(200).json(analytics);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const exportUserData = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`friendzone-export-${date}.zip`);
+    await writeExport(user, res);
+  } catch (err) {
+    // once the ZIP has started streaming the status can no longer change
+    if (res.headersSent) return res.destroy(err);
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getBlocks = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    res.status(200).json(await formatUsers(user.blocked));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getMutes = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    res.status(200).json(await formatUsers(user.muted));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const getUserSuggestions = async (req, res) => {
+  try {
+    const suggestions = await getSuggestions(
+      req.params.id,
+      parseLimit(req.query.limit)
+    );
+    if (!suggestions) {
+      return res.status(404).json({ message: "User not found." });
+    }
+    res.status(200).json(suggestions);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
 /* UPDATE */
-export const addRemoveFriend = async (req, res) => {
+const PROFILE_FIELDS = {
+  firstName: { min: 2, max: 50, required: true },
+  lastName: { min: 2, max: 50, required: true },
+  location: { min: 0, max: 100 },
+  occupation: { min: 0, max: 100 },
+};
+
+export const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = {};
+    for (const [field, { min, max, required }] of Object.entries(
+      PROFILE_FIELDS
+    )) {
+      if (req.body[field] === undefined) continue;
+      const value = String(req.body[field]).trim();
+      if ((required && !value) || value.length < min || value.length > max) {
+        return res.status(400).json({
+          message: `${field} must be between ${min} and ${max} characters.`,
+        });
+      }
+      updates[field] = value;
+    }
+    if (req.file) updates.picturePath = req.file.filename;
+
+    const previous = await User.findById(id, { picturePath: 1 });
+    if (!previous) return res.status(404).json({ message: "User not found." });
+    const user = await User.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    });
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    await propagateProfile(user);
+    // only once posts and comments point at the new avatar
+    if (previous.picturePath && previous.picturePath !== user.picturePath) {
+      await removeUnusedAsset(previous.picturePath);
+    }
+
+    const { password, ...profile } = user.toObject();
+    res.status(200).json(profile);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const updateSocialLink = async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    const link = user.socialLinks.id(linkId);
+    if (!link) return res.status(404).json({ message: "Link not found." });
+
+    // the platform is fixed; delete and re-add the link to change it
+    const { url, visibility } = req.body;
+    if (url !== undefined) link.url = url;
+    if (visibility !== undefined) link.visibility = visibility;
+    await user.save();
+
+    res.status(200).json(user.socialLinks);
+  } catch (err) {
+    res.status(409).json({ message: err.message });
+  }
+};
+
+export const removeFriend = async (req, res) => {
   try {
     const { id, friendId } = req.params;
     const user = await User.findById(id);
     const friend = await User.findById(friendId);
 
-    if (user.friends.includes(friendId)) {
-      user.friends = user.friends.filter((id) => id !== friendId);
-      friend.friends = friend.friends.filter((id) => id !== id);
-    } else {
-      user.friends.push(friendId);
-      friend.friends.push(id);
+    if (!user.friends.includes(friendId)) {
+      return res
+        .status(400)
+        .json({ message: "Not friends. Send a friend request instead." });
     }
+    user.friends = user.friends.filter((fid) => fid !== friendId);
+    friend.friends = friend.friends.filter((fid) => fid !== id);
     await user.save();
     await friend.save();
 
@@ -61,3 +355,154 @@ export const addRemoveFriend = async (req, res) => {
     res.status(404).json({ message: err.message });
   }
 };
+
+/* DELETE */
+export const deleteSocialLink = async (req, res) => {
+  try {
+    const { id, linkId } = req.params;
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    const link = user.socialLinks.id(linkId);
+    if (!link) return res.status(404).json({ message: "Link not found." });
+    link.remove();
+    await user.save();
+
+    res.status(200).json(user.socialLinks);
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+// the account is purged after a grace period; until then it can be restored
+export const deleteUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+
+    const isMatch = await bcrypt.compare(
+      String(req.body.password || ""),
+      user.password
+    );
+    if (!isMatch) return res.status(400).json({ message: "Invalid password." });
+
+    const scheduled = await scheduleDeletion(id);
+    await revokeUserTokens(id, req.user.sid);
+    res
+      .status(202)
+      .json({ deletionScheduledFor: scheduled.deletionScheduledFor });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const restoreUser = async (req, res) => {
+  try {
+    const user = await cancelDeletion(req.params.id);
+    if (!user) return res.status(404).json({ message: "User not found." });
+    res.status(200).json({ deletionScheduledFor: null });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const removeBlock = async (req, res) => {
+  try {
+    const { id, targetId } = req.params;
+    await unblockUser(id, targetId);
+    res.status(200).json(await getBlockState(id));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const removeMute = async (req, res) => {
+  try {
+    const { id, targetId } = req.params;
+    await unmuteUser(id, targetId);
+    res.status(200).json(await getBlockState(id));
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+export const removeSuggestion = async (req, res) => {
+  try {
+    const { id, targetId } = req.params;
+    await dismissSuggestion(id, targetId);
+    res.status(200).json({ _id: targetId });
+  } catch (err) {
+    res.status(404).json({ message: err.message });
+  }
+};
+
+/* HELPERS */
+// posts, comments and notifications keep a copy of the author's profile
+const propagateProfile = async ({
+  id,
+  firstName,
+  lastName,
+  location,
+  picturePath,
+}) => {
+  await Promise.all([
+    Post.updateMany(
+      { userId: id },
+      { firstName, lastName, location, userPicturePath: picturePath }
+    ),
+    Post.updateMany(
+      { "comments.userId": id },
+      {
+        $set: {
+          "comments.$[c].firstName": firstName,
+          "comments.$[c].lastName": lastName,
+          "comments.$[c].userPicturePath": picturePath,
+        },
+      },
+      { arrayFilters: [{ "c.userId": id }] }
+    ),
+    Notification.updateMany(
+      { actorId: id },
+      {
+        actorFirstName: firstName,
+        actorLastName: lastName,
+        actorPicturePath: picturePath,
+      }
+    ),
+  ]);
+};
+
+const checkTarget = async (id, targetId) => {
+  if (id === targetId) {
+    return { status: 400, message: "You cannot do that to yourself." };
+  }
+  if (
+    !mongoose.isValidObjectId(targetId) ||
+    !(await User.exists({ _id: targetId }))
+  ) {
+    return { status: 404, message: "User not found." };
+  }
+  return null;
+};
+
+const getBlockState = async (id) => {
+  const { blocked, muted, friends } = await User.findById(id, {
+    blocked: 1,
+    muted: 1,
+    friends: 1,
+  });
+  return { blocked, muted, friends };
+};
+
+const formatUsers = async (ids) => {
+  const users = await User.find(
+    { _id: { $in: ids } },
+    { firstName: 1, lastName: 1, occupation: 1, location: 1, picturePath: 1 }
+  );
+  return users.map(
+    ({ _id, firstName, lastName, occupation, location, picturePath }) => {
+      return { _id, firstName, lastName, occupation, location, picturePath };
+    }
+  );
+};
@@ -142,6 +142,15 @@ export const users = [
   },
 ];
 
+const comment = (author, text) => ({
+  userId: author._id,
+  firstName: author.firstName,
+  lastName: author.lastName,
+  userPicturePath: author.picturePath,
+  text,
+  likes: new Map(),
+});
+
 export const posts = [
   {
     _id: new mongoose.Types.ObjectId(),
@@ -159,9 +168,9 @@ export const posts = [
       [userIds[4], true],
     ]),
     comments: [
-      "random comment",
-      "another random comment",
-      "yet another random comment",
+      comment(users[0], "random comment"),
+      comment(users[1], "another random comment"),
+      comment(users[2], "yet another random comment"),
     ],
   },
   {
@@ -181,10 +190,10 @@ export const posts = [
       [userIds[2], true],
     ]),
     comments: [
-      "one more random comment",
-      "and another random comment",
-      "no more random comments",
-      "I lied, one more random comment",
+      comment(users[3], "one more random comment"),
+      comment(users[4], "and another random comment"),
+      comment(users[5], "no more random comments"),
+      comment(users[6], "I lied, one more random comment"),
     ],
   },
   {
@@ -204,11 +213,11 @@ export const posts = [
       [userIds[5], true],
     ]),
     comments: [
-      "one more random comment",
-      "I lied, one more random comment",
-      "I lied again, one more random comment",
-      "Why am I doing this?",
-      "I'm bored",
+      comment(users[7], "one more random comment"),
+      comment(users[0], "I lied, one more random comment"),
+      comment(users[1], "I lied again, one more random comment"),
+      comment(users[2], "Why am I doing this?"),
+      comment(users[3], "I'm bored"),
     ],
   },
   {
@@ -227,12 +236,12 @@ export const posts = [
       [userIds[3], true],
     ]),
     comments: [
-      "I lied again, one more random comment",
-      "Why am I doing this?",
-      "I'm bored",
-      "I'm still bored",
-      "All I want to do is play video games",
-      "I'm going to play video games",
+      comment(users[4], "I lied again, one more random comment"),
+      comment(users[5], "Why am I doing this?"),
+      comment(users[6], "I'm bored"),
+      comment(users[7], "I'm still bored"),
+      comment(users[0], "All I want to do is play video games"),
+      comment(users[1], "I'm going to play video games"),
     ],
   },
   {
@@ -252,11 +261,11 @@ export const posts = [
       [userIds[7], true],
     ]),
     comments: [
-      "I lied again, one more random comment",
-      "Why am I doing this?",
-      "Man I'm bored",
-      "What should I do?",
-      "I'm going to play video games",
+      comment(users[2], "I lied again, one more random comment"),
+      comment(users[3], "Why am I doing this?"),
+      comment(users[4], "Man I'm bored"),
+      comment(users[5], "What should I do?"),
+      comment(users[6], "I'm going to play video games"),
     ],
   },
   {
@@ -275,11 +284,11 @@ export const posts = [
     ]),
 
     comments: [
-      "Can I play video games now?",
-      "No let's actually study",
-      "Never mind, I'm going to play video games",
-      "Stop it.",
-      "Michael, stop it.",
+      comment(users[7], "Can I play video games now?"),
+      comment(users[0], "No let's actually study"),
+      comment(users[1], "Never mind, I'm going to play video games"),
+      comment(users[2], "Stop it."),
+      comment(users[3], "Michael, stop it."),
     ],
   },
 ];
@@ -0,0 +1,10 @@
+// prints messages instead of sending them, for setups without any SMTP server
+const consoleTransport = {
+  name: "console",
+
+  async send({ to, subject, text }) {
+    console.log(`--- mail to ${to}: ${subject}\n${text}\n---`);
+  },
+};
+
+export default consoleTransport;
@@ -0,0 +1,11 @@
+import consoleTransport from "./console.js";
+import smtpTransport from "./smtp.js";
+
+const TRANSPORTS = { smtp: smtpTransport, console: consoleTransport };
+
+const name = process.env.MAIL_TRANSPORT || "smtp";
+if (!TRANSPORTS[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+
+export const mailer = TRANSPORTS[name];
+
+export { consoleTransport, smtpTransport };
@@ -0,0 +1,35 @@
+import nodemailer from "nodemailer";
+
+let transporter = null;
+
+// defaults match a local SMTP catcher such as MailHog or Mailpit
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      auth,
+    });
+  }
+  return transporter;
+};
+
+const smtpTransport = {
+  name: "smtp",
+
+  async send({ to, subject, text, html }) {
+    await getTransporter().sendMail({
+      from: process.env.MAIL_FROM || "FriendZone <no-reply@localhost>",
+      to,
+      subject,
+      text,
+      html,
+    });
+  },
+};
+
+export default smtpTransport;
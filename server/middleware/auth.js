@@ -1,4 +1,5 @@
 import jwt from "jsonwebtoken";
+import { getActiveSession, touchSession } from "../services/sessions.js";
 
 export const verifyToken = async (req, res, next) => {
   try {
@@ -13,9 +14,35 @@ export const verifyToken = async (req, res, next) => {
     }
 
     const verified = jwt.verify(token, process.env.JWT_SECRET);
+    // a valid signature is not enough once the session has been signed out
+    const session = await getActiveSession(verified.sid);
+    if (!session || session.userId !== String(verified.id)) {
+      return res.status(401).json({ error: "Session has ended" });
+    }
+    touchSession(session, req).catch((err) =>
+      console.log(`${err} session not touched`)
+    );
+
     req.user = verified;
     next();
   } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) {
+      return res.status(401).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 };
+
+/* AUTHORIZATION */
+// 403s when req[location][key] names someone other than the token holder
+export const matchUser =
+  (location, key = "userId") =>
+  (req, res, next) => {
+    const claimed = req[location] && req[location][key];
+
+    if (claimed !== undefined && String(claimed) !== String(req.user.id)) {
+      return res.status(403).json({ message: "Access Denied" });
+    }
+
+    next();
+  };
@@ -0,0 +1,70 @@
+import { limiterStore } from "../rateLimit/index.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// defaults per limiter; override any of them with RATE_LIMIT_<NAME>=max/minutes,
+// e.g. RATE_LIMIT_LOGIN=50/15
+const DEFAULT_LIMITS = {
+  login: { max: 20, windowMs: 15 * MINUTE_MS },
+  register: { max: 5, windowMs: 60 * MINUTE_MS },
+  twoFactor: { max: 10, windowMs: 15 * MINUTE_MS },
+  accountEmail: { max: 5, windowMs: 15 * MINUTE_MS },
+  post: { max: 10, windowMs: MINUTE_MS },
+  comment: { max: 20, windowMs: MINUTE_MS },
+  like: { max: 60, windowMs: MINUTE_MS },
+  friendRequest: { max: 20, windowMs: 60 * MINUTE_MS },
+  message: { max: 60, windowMs: MINUTE_MS },
+};
+
+const withOverride = (name, limit) => {
+  const envName = `RATE_LIMIT_${name.replace(/([A-Z])/g, "_$1").toUpperCase()}`;
+  const [max, minutes] = (process.env[envName] || "").split("/").map(Number);
+  return {
+    max: max > 0 ? max : limit.max,
+    windowMs: minutes > 0 ? minutes * MINUTE_MS : limit.windowMs,
+  };
+};
+
+const LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([name, limit]) => [
+    name,
+    withOverride(name, limit),
+  ])
+);
+
+/* LIMITERS */
+// counts requests per client IP, or per signed-in user when by is "user"
+// (which must then run after verifyToken)
+export const rateLimit =
+  (name, by = "ip") =>
+  async (req, res, next) => {
+    const { max, windowMs } = LIMITS[name];
+    const client = by === "user" ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+      result = await limiterStore.hit(`${name}:${client}`, windowMs);
+    } catch (err) {
+      // a broken store should not take the API down with it
+      console.log(`${err} rate limit not applied`);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      Math.ceil((result.resetAt.getTime() - Date.now()) / 1000),
+      0
+    );
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(max - result.count, 0)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (result.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return res
+        .status(429)
+        .json({ message: "Too many requests. Please try again later." });
+    }
+    next();
+  };
@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import multer from "multer";
+import { removeUnusedAsset } from "../services/assets.js";
+import { getDimensions, processImage } from "../services/images.js";
+import { storage } from "../storage/index.js";
+
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || 10;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+
+// magic bytes of each accepted format; the client's mimetype is not trusted
+const SIGNATURES = [
+  {
+    mime: "image/jpeg",
+    ext: "jpg",
+    test: (b) => startsWith(b, [0xff, 0xd8, 0xff]),
+  },
+  {
+    mime: "image/png",
+    ext: "png",
+    test: (b) =>
+      startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  },
+  {
+    mime: "image/gif",
+    ext: "gif",
+    test: (b) =>
+      startsWith(b, Buffer.from("GIF87a")) ||
+      startsWith(b, Buffer.from("GIF89a")),
+  },
+  {
+    mime: "image/webp",
+    ext: "webp",
+    test: (b) =>
+      startsWith(b, Buffer.from("RIFF")) &&
+      startsWith(b, Buffer.from("WEBP"), 8),
+  },
+];
+
+const UNSUPPORTED_IMAGE = "Only JPEG, PNG, WebP and GIF images are allowed.";
+
+export const detectImageType = (buffer) =>
+  SIGNATURES.find(({ test }) => buffer.length >= 12 && test(buffer)) || null;
+
+// accepts one optional image in `field`, checks its real type and stores its
+// resized variants under its content hash. the path to save on the document
+// ends up in req.file.filename, with the image size in width and height
+export const uploadImage = (field) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, async (err) => {
+      if (err instanceof multer.MulterError && err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          message: `Image is too large. The limit is ${MAX_UPLOAD_MB} MB.`,
+        });
+      }
+      if (err) return res.status(400).json({ message: err.message });
+      if (!req.file) return next();
+
+      const type = detectImageType(req.file.buffer);
+      if (!type) return res.status(415).json({ message: UNSUPPORTED_IMAGE });
+
+      const hash = crypto
+        .createHash("sha256")
+        .update(req.file.buffer)
+        .digest("hex");
+      let image;
+      try {
+        if (type.ext === "gif") {
+          // resizing would drop the animation, and GIFs carry no EXIF
+          image = {
+            picturePath: `${hash}.gif`,
+            ...(await getDimensions(req.file.buffer)),
+            files: [
+              {
+                name: `${hash}.gif`,
+                buffer: req.file.buffer,
+                contentType: type.mime,
+              },
+            ],
+          };
+        } else {
+          image = await processImage(req.file.buffer, hash);
+        }
+      } catch (decodeErr) {
+        // the right magic bytes in front of a body that does not decode
+        return res.status(415).json({ message: UNSUPPORTED_IMAGE });
+      }
+
+      // a later handler can still reject the request; the stored variants
+      // then go again unless something already used the same image
+      res.on("finish", () => {
+        if (res.statusCode < 400) return;
+        removeUnusedAsset(image.picturePath).catch((cleanupErr) =>
+          console.log(`${cleanupErr} rejected upload not removed`)
+        );
+      });
+
+      try {
+        await Promise.all(
+          image.files.map(({ name, buffer, contentType }) =>
+            storage.save(name, buffer, contentType)
+          )
+        );
+
+        req.file.filename = image.picturePath;
+        req.file.mimetype = type.mime;
+        req.file.width = image.width;
+        req.file.height = image.height;
+        next();
+      } catch (storeErr) {
+        res.status(500).json({ error: storeErr.message });
+      }
+    });
+  };
+};
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// single-use links mailed to the account owner; only the hash is stored
+const AccountTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verifyEmail", "resetPassword"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model("AccountToken", AccountTokenSchema);
+export default AccountToken;
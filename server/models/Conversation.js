@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const ConversationSchema = new mongoose.Schema(
+  {
+    participants: {
+      type: [String],
+      required: true,
+      validate: (ids) => ids.length === 2,
+    },
+    lastMessage: {
+      text: String,
+      senderId: String,
+      createdAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+ConversationSchema.index({ participants: 1, updatedAt: -1 });
+
+const Conversation = mongoose.model("Conversation", ConversationSchema);
+export default Conversation;
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const FriendRequestSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "cancelled"],
+      default: "pending",
+    },
+  },
+  { timestamps: true }
+);
+
+FriendRequestSchema.index({ from: 1, to: 1, status: 1 });
+// at most one pending request per sender and recipient
+FriendRequestSchema.index(
+  { from: 1, to: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+const FriendRequest = mongoose.model("FriendRequest", FriendRequestSchema);
+export default FriendRequest;
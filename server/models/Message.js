@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+const MessageSchema = new mongoose.Schema(
+  {
+    conversationId: {
+      type: String,
+      required: true,
+    },
+    senderId: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+MessageSchema.index({ conversationId: 1, createdAt: -1, _id: -1 });
+MessageSchema.index({ conversationId: 1, senderId: 1, readAt: 1 });
+
+const Message = mongoose.model("Message", MessageSchema);
+export default Message;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    actorId: {
+      type: String,
+      required: true,
+    },
+    actorFirstName: String,
+    actorLastName: String,
+    actorPicturePath: String,
+    type: {
+      type: String,
+      enum: ["like", "comment", "friendRequest", "friendAccept"],
+      required: true,
+    },
+    postId: {
+      type: String,
+      default: null,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+NotificationSchema.index({ userId: 1, read: 1 });
+NotificationSchema.index(
+  { userId: 1, actorId: 1, postId: 1 },
+  { unique: true, partialFilterExpression: { type: "like" } }
+);
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+export default Notification;
@@ -1,5 +1,47 @@
 import mongoose from "mongoose";
 
+const commentSchema = mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    firstName: {
+      type: String,
+      required: true,
+    },
+    lastName: {
+      type: String,
+      required: true,
+    },
+    userPicturePath: String,
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    parentId: {
+      type: String,
+      default: null,
+    },
+    likes: {
+      type: Map,
+      of: Boolean,
+      default: {},
+    },
+  },
+  { timestamps: true }
+);
+
+const editSchema = mongoose.Schema({
+  description: String,
+  editedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const postSchema = mongoose.Schema(
   {
     userId: {
@@ -17,19 +59,33 @@ const postSchema = mongoose.Schema(
     location: String,
     description: String,
     picturePath: String,
+    pictureWidth: Number,
+    pictureHeight: Number,
     userPicturePath: String,
     likes: {
       type: Map,
       of: Boolean,
     },
     comments: {
-      type: Array,
+      type: [commentSchema],
       default: [],
     },
+    edits: {
+      type: [editSchema],
+      default: [],
+    },
+    impressions: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
 
+postSchema.index({ description: "text" });
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+
 const Post = mongoose.model("Post", postSchema);
 
 export default Post;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const PostImpressionSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: String,
+      required: true,
+    },
+    postUserId: {
+      type: String,
+      required: true,
+    },
+    viewerId: {
+      type: String,
+      required: true,
+    },
+    // UTC date (YYYY-MM-DD); one impression per viewer per post per day
+    day: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PostImpressionSchema.index(
+  { postId: 1, viewerId: 1, day: 1 },
+  { unique: true }
+);
+PostImpressionSchema.index({ postUserId: 1, createdAt: -1 });
+
+const PostImpression = mongoose.model("PostImpression", PostImpressionSchema);
+export default PostImpression;
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// timestamped mirror of Post.likes, kept so likes can be charted over time
+const PostLikeSchema = new mongoose.Schema(
+  {
+    postId: {
+      type: String,
+      required: true,
+    },
+    postUserId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+PostLikeSchema.index({ postId: 1, userId: 1 }, { unique: true });
+PostLikeSchema.index({ postUserId: 1, createdAt: -1 });
+
+const PostLike = mongoose.model("PostLike", PostLikeSchema);
+export default PostLike;
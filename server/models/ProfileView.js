@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+const ProfileViewSchema = new mongoose.Schema(
+  {
+    profileId: {
+      type: String,
+      required: true,
+    },
+    viewerId: {
+      type: String,
+      required: true,
+    },
+    // UTC date (YYYY-MM-DD); one view per viewer per profile per day
+    day: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ProfileViewSchema.index(
+  { profileId: 1, viewerId: 1, day: 1 },
+  { unique: true }
+);
+ProfileViewSchema.index({ profileId: 1, updatedAt: -1 });
+
+const ProfileView = mongoose.model("ProfileView", ProfileViewSchema);
+export default ProfileView;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// counters for the shared rate limit store, see rateLimit/mongo.js
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+RateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", RateLimitSchema);
+export default RateLimit;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", RefreshTokenSchema);
+export default RefreshToken;
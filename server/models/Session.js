@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+// one per login; its id is also the refresh token family and the "sid"
+// claim of every access token issued for it
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    device: String,
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", SessionSchema);
+export default Session;
@@ -1,5 +1,92 @@
 import mongoose from "mongoose";
 
+export const SOCIAL_PLATFORMS = [
+  "twitter",
+  "linkedin",
+  "github",
+  "instagram",
+  "facebook",
+  "website",
+];
+
+// "website" accepts any host, the rest must point at the platform's domain
+const PLATFORM_HOSTS = {
+  twitter: ["twitter.com", "x.com"],
+  linkedin: ["linkedin.com"],
+  github: ["github.com"],
+  instagram: ["instagram.com"],
+  facebook: ["facebook.com", "fb.com"],
+};
+
+const isPlatformUrl = function (value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+  if (!["http:", "https:"].includes(url.protocol)) return false;
+
+  const hosts = PLATFORM_HOSTS[this.platform];
+  if (!hosts) return true;
+  const host = url.hostname.toLowerCase();
+  return hosts.some((h) => host === h || host.endsWith(`.${h}`));
+};
+
+const socialLinkSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    enum: SOCIAL_PLATFORMS,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+    validate: {
+      validator: isPlatformUrl,
+      message: (props) => `${props.value} is not a valid link.`,
+    },
+  },
+  visibility: {
+    type: String,
+    enum: ["public", "private"],
+    default: "public",
+  },
+});
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// secrets and recovery codes are never selected unless asked for by name
+const twoFactorSchema = new mongoose.Schema(
+  {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // sha256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // the last accepted 30s time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
+  { _id: false }
+);
+
 const UserSchema = new mongoose.Schema(
   {
     firstName: {
@@ -19,6 +106,13 @@ const UserSchema = new mongoose.Schema(
       required: true,
       max: 50,
       unique: true,
+      trim: true,
+      lowercase: true,
+      match: [EMAIL_PATTERN, "Please enter a valid email address."],
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
     },
     password: {
       type: String,
@@ -33,13 +127,58 @@ const UserSchema = new mongoose.Schema(
       type: Array,
       default: [],
     },
+    // ids this user blocked; blocking hides both users from each other
+    blocked: {
+      type: [String],
+      default: [],
+    },
+    // ids whose posts stay out of this user's feeds; not visible to them
+    muted: {
+      type: [String],
+      default: [],
+    },
+    // people removed from "people you may know"
+    dismissedSuggestions: {
+      type: [String],
+      default: [],
+      select: false,
+    },
     location: String,
     occupation: String,
-    viewedProfile: Number,
-    impressions: Number,
+    viewedProfile: {
+      type: Number,
+      default: 0,
+    },
+    impressions: {
+      type: Number,
+      default: 0,
+    },
+    socialLinks: {
+      type: [socialLinkSchema],
+      default: [],
+      validate: {
+        validator: (links) => links.length <= SOCIAL_PLATFORMS.length,
+        message: "Too many social links.",
+      },
+    },
+    twoFactor: {
+      type: twoFactorSchema,
+      default: () => ({}),
+    },
+    // set while a requested deletion is in its grace period
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
   },
   { timestamps: true }
 );
 
+UserSchema.index(
+  { firstName: "text", lastName: "text", occupation: "text", location: "text" },
+  { weights: { firstName: 3, lastName: 3 } }
+);
+
 const User = mongoose.model("User", UserSchema);
 export default User;
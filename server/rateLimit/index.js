@@ -0,0 +1,11 @@
+import memoryStore from "./memory.js";
+import mongoStore from "./mongo.js";
+
+const STORES = { memory: memoryStore, mongo: mongoStore };
+
+const name = process.env.RATE_LIMIT_STORE || "memory";
+if (!STORES[name]) throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+
+export const limiterStore = STORES[name];
+
+export { memoryStore, mongoStore };
@@ -0,0 +1,45 @@
+// counters live in this process only; fine for a single server
+const entries = new Map();
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const live = (key) => {
+  const entry = entries.get(key);
+  if (entry && entry.resetAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+setInterval(() => {
+  const now = Date.now();
+  entries.forEach((entry, key) => {
+    if (entry.resetAt <= now) entries.delete(key);
+  });
+}, SWEEP_INTERVAL_MS).unref();
+
+const memoryStore = {
+  name: "memory",
+
+  async hit(key, windowMs) {
+    const entry = live(key) || { count: 0, resetAt: Date.now() + windowMs };
+    entry.count += 1;
+    entries.set(key, entry);
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  },
+
+  async get(key) {
+    const entry = live(key);
+    return entry && { count: entry.count, resetAt: new Date(entry.resetAt) };
+  },
+
+  async set(key, count, ttlMs) {
+    entries.set(key, { count, resetAt: Date.now() + ttlMs });
+  },
+
+  async reset(key) {
+    entries.delete(key);
+  },
+};
+
+export default memoryStore;
@@ -0,0 +1,76 @@
+import RateLimit from "../models/RateLimit.js";
+
+const DUPLICATE_KEY = 11000;
+
+// two first hits on a key can race to insert it; the loser's retry then
+// updates the document the winner created
+const retryOnDuplicate = async (write) => {
+  try {
+    return await write();
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY) throw err;
+    return write();
+  }
+};
+
+// shares counters between every server using the same database
+const mongoStore = {
+  name: "mongo",
+
+  async hit(key, windowMs) {
+    const now = new Date();
+    const expired = { $lte: ["$resetAt", now] };
+    // one atomic update: start a new window if the old one is over
+    const entry = await retryOnDuplicate(() =>
+      RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: {
+                $cond: [
+                  { $or: [{ $not: ["$resetAt"] }, expired] },
+                  1,
+                  { $add: ["$count", 1] },
+                ],
+              },
+              resetAt: {
+                $cond: [
+                  { $or: [{ $not: ["$resetAt"] }, expired] },
+                  new Date(now.getTime() + windowMs),
+                  "$resetAt",
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      )
+    );
+    return { count: entry.count, resetAt: entry.resetAt };
+  },
+
+  async get(key) {
+    const entry = await RateLimit.findOne({
+      key,
+      resetAt: { $gt: new Date() },
+    });
+    return entry && { count: entry.count, resetAt: entry.resetAt };
+  },
+
+  async set(key, count, ttlMs) {
+    await retryOnDuplicate(() =>
+      RateLimit.updateOne(
+        { key },
+        { count, resetAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      )
+    );
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  },
+};
+
+export default mongoStore;
@@ -1,8 +1,68 @@
 import express from "express";
-import { login } from "../controllers/auth.js";
+import {
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactor,
+} from "../controllers/auth.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "../controllers/twoFactor.js";
+import {
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+} from "../controllers/sessions.js";
+import { verifyToken } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
-router.post("/login", login);
+router.post("/login", rateLimit("login"), login);
+router.post("/2fa", rateLimit("twoFactor"), verifyTwoFactor);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.post("/verify", verifyEmail);
+router.post(
+  "/verify/resend",
+  verifyToken,
+  rateLimit("accountEmail", "user"),
+  resendVerification
+);
+router.post("/forgot", rateLimit("accountEmail"), forgotPassword);
+router.post("/reset", rateLimit("accountEmail"), resetPassword);
+
+/* TWO-FACTOR SETTINGS */
+router.post("/2fa/setup", verifyToken, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  verifyToken,
+  rateLimit("twoFactor", "user"),
+  enableTwoFactor
+);
+router.post(
+  "/2fa/recovery-codes",
+  verifyToken,
+  rateLimit("twoFactor", "user"),
+  regenerateRecoveryCodes
+);
+router.post(
+  "/2fa/disable",
+  verifyToken,
+  rateLimit("twoFactor", "user"),
+  disableTwoFactor
+);
+
+/* SESSIONS */
+router.get("/sessions", verifyToken, getSessions);
+router.delete("/sessions", verifyToken, deleteOtherSessions);
+router.delete("/sessions/:id", verifyToken, deleteSession);
 
 export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  startConversation,
+  sendMessage,
+  getConversations,
+  getMessages,
+  markConversationRead,
+} from "../controllers/conversations.js";
+import { verifyToken } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+
+const router = express.Router();
+
+/* CREATE */
+router.post("/", verifyToken, startConversation);
+router.post(
+  "/:id/messages",
+  verifyToken,
+  rateLimit("message", "user"),
+  sendMessage
+);
+
+/* READ */
+router.get("/", verifyToken, getConversations);
+router.get("/:id/messages", verifyToken, getMessages);
+
+/* UPDATE */
+router.patch("/:id/read", verifyToken, markConversationRead);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  sendFriendRequest,
+  getIncomingRequests,
+  getOutgoingRequests,
+  acceptFriendRequest,
+  declineFriendRequest,
+  cancelFriendRequest,
+} from "../controllers/friendRequests.js";
+import { verifyToken } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+
+const router = express.Router();
+
+/* CREATE */
+router.post(
+  "/:userId",
+  verifyToken,
+  rateLimit("friendRequest", "user"),
+  sendFriendRequest
+);
+
+/* READ */
+router.get("/incoming", verifyToken, getIncomingRequests);
+router.get("/outgoing", verifyToken, getOutgoingRequests);
+
+/* UPDATE */
+router.patch("/:id/accept", verifyToken, acceptFriendRequest);
+router.patch("/:id/decline", verifyToken, declineFriendRequest);
+router.patch("/:id/cancel", verifyToken, cancelFriendRequest);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getMedia } from "../controllers/media.js";
+
+const router = express.Router();
+
+/* READ */
+// public like /assets, since <img> tags cannot send the Authorization header
+router.get("/:id", getMedia);
+
+export default router;
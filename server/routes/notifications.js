@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  getNotifications,
+  markRead,
+  markAllRead,
+} from "../controllers/notifications.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/* READ */
+router.get("/", verifyToken, getNotifications);
+
+/* UPDATE */
+router.patch("/read-all", verifyToken, markAllRead);
+router.patch("/:id/read", verifyToken, markRead);
+
+export default router;
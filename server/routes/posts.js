@@ -1,14 +1,59 @@
 import express from "express";
-import { getFeedPosts, getUserPosts, likePost } from "../controllers/posts.js";
-import { verifyToken } from "../middleware/auth.js";
+import {
+  getFeedPosts,
+  getFriendsFeed,
+  getUserPosts,
+  likePost,
+  updatePost,
+  deletePost,
+  recordPostImpressions,
+} from "../controllers/posts.js";
+import {
+  addComment,
+  getComments,
+  updateComment,
+  likeComment,
+  deleteComment,
+} from "../controllers/comments.js";
+import { verifyToken, matchUser } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
+/* CREATE */
+router.post("/impressions", verifyToken, recordPostImpressions);
+router.post(
+  "/:id/comments",
+  verifyToken,
+  rateLimit("comment", "user"),
+  addComment
+);
+
 /* READ */
 router.get("/", verifyToken, getFeedPosts);
+router.get("/feed", verifyToken, getFriendsFeed);
 router.get("/:userId/posts", verifyToken, getUserPosts);
+router.get("/:id/comments", verifyToken, getComments);
 
 /* UPDATE */
-router.patch("/:id/like", verifyToken, likePost);
+router.patch("/:id", verifyToken, updatePost);
+router.patch(
+  "/:id/like",
+  verifyToken,
+  rateLimit("like", "user"),
+  matchUser("body"),
+  likePost
+);
+router.patch("/:id/comments/:commentId", verifyToken, updateComment);
+router.patch(
+  "/:id/comments/:commentId/like",
+  verifyToken,
+  rateLimit("like", "user"),
+  likeComment
+);
+
+/* DELETE */
+router.delete("/:id", verifyToken, deletePost);
+router.delete("/:id/comments/:commentId", verifyToken, deleteComment);
 
 export default router;
@@ -0,0 +1,11 @@
+import express from "express";
+import { search, suggest } from "../controllers/search.js";
+import { verifyToken } from "../middleware/auth.js";
+
+const router = express.Router();
+
+/* READ */
+router.get("/", verifyToken, search);
+router.get("/suggest", verifyToken, suggest);
+
+export default router;
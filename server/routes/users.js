@@ -2,17 +2,127 @@ import express from "express";
 import {
   getUser,
   getUserFriends,
-  addRemoveFriend,
+  removeFriend,
+  addSocialLink,
+  updateSocialLink,
+  deleteSocialLink,
+  recordView,
+  getProfileViewers,
+  getUserAnalytics,
+  exportUserData,
+  deleteUser,
+  restoreUser,
+  addBlock,
+  addMute,
+  getBlocks,
+  getMutes,
+  removeBlock,
+  removeMute,
+  getUserSuggestions,
+  removeSuggestion,
 } from "../controllers/users.js";
-import { verifyToken } from "../middleware/auth.js";
+import { verifyToken, matchUser } from "../middleware/auth.js";
 
 const router = express.Router();
 
+/* CREATE */
+router.post(
+  "/:id/social-links",
+  verifyToken,
+  matchUser("params", "id"),
+  addSocialLink
+);
+router.post("/:id/views", verifyToken, recordView);
+router.post(
+  "/:id/restore",
+  verifyToken,
+  matchUser("params", "id"),
+  restoreUser
+);
+
+router.post(
+  "/:id/blocks/:targetId",
+  verifyToken,
+  matchUser("params", "id"),
+  addBlock
+);
+router.post(
+  "/:id/mutes/:targetId",
+  verifyToken,
+  matchUser("params", "id"),
+  addMute
+);
+
 /* READ */
 router.get("/:id", verifyToken, getUser);
 router.get("/:id/friends", verifyToken, getUserFriends);
+router.get(
+  "/:id/viewers",
+  verifyToken,
+  matchUser("params", "id"),
+  getProfileViewers
+);
+router.get(
+  "/:id/analytics",
+  verifyToken,
+  matchUser("params", "id"),
+  getUserAnalytics
+);
+router.get(
+  "/:id/export",
+  verifyToken,
+  matchUser("params", "id"),
+  exportUserData
+);
+
+router.get("/:id/blocks", verifyToken, matchUser("params", "id"), getBlocks);
+router.get("/:id/mutes", verifyToken, matchUser("params", "id"), getMutes);
+router.get(
+  "/:id/suggestions",
+  verifyToken,
+  matchUser("params", "id"),
+  getUserSuggestions
+);
 
 /* UPDATE */
-router.patch("/:id/:friendId", verifyToken, addRemoveFriend);
+router.patch(
+  "/:id/:friendId",
+  verifyToken,
+  matchUser("params", "id"),
+  removeFriend
+);
+router.patch(
+  "/:id/social-links/:linkId",
+  verifyToken,
+  matchUser("params", "id"),
+  updateSocialLink
+);
+
+/* DELETE */
+router.delete("/:id", verifyToken, matchUser("params", "id"), deleteUser);
+router.delete(
+  "/:id/social-links/:linkId",
+  verifyToken,
+  matchUser("params", "id"),
+  deleteSocialLink
+);
+router.delete(
+  "/:id/blocks/:targetId",
+  verifyToken,
+  matchUser("params", "id"),
+  removeBlock
+);
+router.delete(
+  "/:id/mutes/:targetId",
+  verifyToken,
+  matchUser("params", "id"),
+  removeMute
+);
+router.delete(
+  "/:id/suggestions/:targetId",
+  verifyToken,
+  matchUser("params", "id"),
+  removeSuggestion
+);
 
 export default router;
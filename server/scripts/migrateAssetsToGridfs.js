@@ -0,0 +1,51 @@
+// copies every file in public/assets into the GridFS media bucket so a server
+// started with MEDIA_STORAGE=gridfs can still serve them. files already in
+// GridFS are skipped, so it is safe to run more than once.
+//
+// usage: npm run migrate:media [-- --delete]
+import "dotenv/config";
+import fs from "fs/promises";
+import mongoose from "mongoose";
+import path from "path";
+import { diskStorage, gridfsStorage } from "../storage/index.js";
+import { ASSETS_DIR } from "../storage/disk.js";
+import { detectImageType } from "../middleware/upload.js";
+
+const deleteAfterCopy = process.argv.includes("--delete");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URL, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  const names = await fs.readdir(ASSETS_DIR);
+  let copied = 0;
+  let skipped = 0;
+  for (const name of names) {
+    const buffer = await fs.readFile(path.join(ASSETS_DIR, name));
+    const type = detectImageType(buffer);
+    if (!type) {
+      console.log(`skipping ${name}: not a supported image`);
+      skipped += 1;
+      continue;
+    }
+
+    if (await gridfsStorage.stat(name)) {
+      skipped += 1;
+    } else {
+      await gridfsStorage.save(name, buffer, type.mime);
+      copied += 1;
+    }
+    if (deleteAfterCopy) await diskStorage.remove(name);
+  }
+
+  console.log(`copied ${copied}, skipped ${skipped} of ${names.length} files`);
+};
+
+migrate()
+  .catch((error) => {
+    console.log(`${error} migration failed`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
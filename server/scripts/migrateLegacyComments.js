@@ -0,0 +1,50 @@
+// rewrites comments stored as plain strings, from before comments had
+// authors and threads, into comment documents. the author of such a comment
+// is unknown, so it is shown under the deleted-user placeholder. posts
+// without string comments are left alone, so it is safe to run more than once.
+//
+// usage: npm run migrate:comments
+import "dotenv/config";
+import mongoose from "mongoose";
+import Post from "../models/Post.js";
+import { DELETED_USER } from "../services/accountDeletion.js";
+
+const toComment = (comment, post) =>
+  typeof comment === "string"
+    ? {
+        _id: new mongoose.Types.ObjectId(),
+        ...DELETED_USER,
+        text: comment,
+        parentId: null,
+        likes: {},
+        createdAt: post.createdAt,
+        updatedAt: post.createdAt,
+      }
+    : comment;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URL, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+
+  // the raw collection, since the schema cannot load string comments
+  const posts = Post.collection.find({ comments: { $type: "string" } });
+  let migrated = 0;
+  for await (const post of posts) {
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { comments: post.comments.map((c) => toComment(c, post)) } }
+    );
+    migrated += 1;
+  }
+
+  console.log(`migrated the comments of ${migrated} posts`);
+};
+
+migrate()
+  .catch((error) => {
+    console.log(`${error} migration failed`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,138 @@
+import AccountToken from "../models/AccountToken.js";
+import Conversation from "../models/Conversation.js";
+import FriendRequest from "../models/FriendRequest.js";
+import Message from "../models/Message.js";
+import Notification from "../models/Notification.js";
+import Post from "../models/Post.js";
+import PostImpression from "../models/PostImpression.js";
+import PostLike from "../models/PostLike.js";
+import ProfileView from "../models/ProfileView.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { removeUnusedAsset } from "./assets.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// comments outlive their author under this placeholder identity
+export const DELETED_USER = {
+  userId: "deleted",
+  firstName: "Deleted",
+  lastName: "User",
+};
+
+const GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/* SCHEDULE */
+export const scheduleDeletion = (userId) =>
+  User.findByIdAndUpdate(
+    userId,
+    { deletionScheduledFor: new Date(Date.now() + GRACE_DAYS * DAY_MS) },
+    { new: true }
+  );
+
+export const cancelDeletion = (userId) =>
+  User.findByIdAndUpdate(userId, { deletionScheduledFor: null }, { new: true });
+
+/* PURGE */
+export const purgeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const posts = await Post.find({ userId }, { picturePath: 1 });
+  const postIds = posts.map((post) => post.id);
+  const conversations = await Conversation.find(
+    { participants: userId },
+    { _id: 1 }
+  );
+
+  await Promise.all([
+    Post.deleteMany({ userId }),
+    PostLike.deleteMany({
+      $or: [{ userId }, { postId: { $in: postIds } }],
+    }),
+    PostImpression.deleteMany({
+      $or: [{ viewerId: userId }, { postUserId: userId }],
+    }),
+    ProfileView.deleteMany({
+      $or: [{ viewerId: userId }, { profileId: userId }],
+    }),
+    // take them out of everyone else's friends, block lists and likes
+    User.updateMany({ friends: userId }, { $pull: { friends: userId } }),
+    User.updateMany(
+      {
+        $or: [
+          { blocked: userId },
+          { muted: userId },
+          { dismissedSuggestions: userId },
+        ],
+      },
+      {
+        $pull: {
+          blocked: userId,
+          muted: userId,
+          dismissedSuggestions: userId,
+        },
+      }
+    ),
+    Post.updateMany(
+      { [`likes.${userId}`]: { $exists: true } },
+      { $unset: { [`likes.${userId}`]: "" } }
+    ),
+    Post.updateMany(
+      { [`comments.likes.${userId}`]: { $exists: true } },
+      { $unset: { [`comments.$[].likes.${userId}`]: "" } }
+    ),
+    Post.updateMany(
+      { "comments.userId": userId },
+      {
+        $set: {
+          "comments.$[c].userId": DELETED_USER.userId,
+          "comments.$[c].firstName": DELETED_USER.firstName,
+          "comments.$[c].lastName": DELETED_USER.lastName,
+          "comments.$[c].userPicturePath": "",
+        },
+      },
+      { arrayFilters: [{ "c.userId": userId }] }
+    ),
+    FriendRequest.deleteMany({ $or: [{ from: userId }, { to: userId }] }),
+    Notification.deleteMany({ $or: [{ userId }, { actorId: userId }] }),
+    Message.deleteMany({
+      conversationId: { $in: conversations.map((c) => c.id) },
+    }),
+    Conversation.deleteMany({ participants: userId }),
+    Session.deleteMany({ userId }),
+    RefreshToken.deleteMany({ userId }),
+    AccountToken.deleteMany({ userId }),
+  ]);
+  await User.deleteOne({ _id: userId });
+
+  // only once nothing points at them any more
+  const pictures = new Set(
+    [user.picturePath, ...posts.map((post) => post.picturePath)].filter(Boolean)
+  );
+  for (const picturePath of pictures) await removeUnusedAsset(picturePath);
+};
+
+// failures are logged so one bad account does not block the rest
+export const purgeDueAccounts = async () => {
+  const due = await User.find(
+    { deletionScheduledFor: { $lte: new Date() } },
+    { _id: 1 }
+  );
+  for (const { id } of due) {
+    try {
+      await purgeUser(id);
+    } catch (err) {
+      console.log(`${err} account ${id} not purged`);
+    }
+  }
+};
+
+export const startDeletionWorker = () =>
+  setInterval(() => {
+    purgeDueAccounts().catch((err) =>
+      console.log(`${err} account purge failed`)
+    );
+  }, PURGE_INTERVAL_MS).unref();
@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import { mailer } from "../mail/index.js";
+import AccountToken from "../models/AccountToken.js";
+
+const TOKEN_TTL_MS = {
+  verifyEmail: 24 * 60 * 60 * 1000,
+  resetPassword: 60 * 60 * 1000,
+};
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/* ISSUE */
+// a new token replaces any unused one for the same purpose
+export const issueAccountToken = async (userId, purpose) => {
+  await AccountToken.updateMany(
+    { userId, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await new AccountToken({
+    userId,
+    purpose,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+  }).save();
+  return token;
+};
+
+/* CONSUME */
+// returns the owner's id, or null when the token is unknown, used or expired
+export const consumeAccountToken = async (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+
+  const record = await AccountToken.findOneAndUpdate(
+    {
+      tokenHash: hash(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() }
+  );
+  return record ? record.userId : null;
+};
+
+/* MAIL */
+export const sendVerificationEmail = async (user) => {
+  const token = await issueAccountToken(user.id, "verifyEmail");
+  const link = `${CLIENT_URL}/verify?token=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: "Confirm your FriendZone email",
+    text: `Hi ${user.firstName},\n\nConfirm your email address by opening this link within 24 hours:\n${link}\n`,
+    html: `<p>Hi ${escapeHtml(
+      user.firstName
+    )},</p><p>Confirm your email address by opening <a href="${link}">this link</a> within 24 hours.</p>`,
+  });
+};
+
+export const sendPasswordResetEmail = async (user) => {
+  const token = await issueAccountToken(user.id, "resetPassword");
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your FriendZone password",
+    text: `Hi ${user.firstName},\n\nSomeone asked to reset your password. If it was you, open this link within an hour:\n${link}\n\nOtherwise you can ignore this email.\n`,
+    html: `<p>Hi ${escapeHtml(
+      user.firstName
+    )},</p><p>Someone asked to reset your password. If it was you, open <a href="${link}">this link</a> within an hour.</p><p>Otherwise you can ignore this email.</p>`,
+  });
+};
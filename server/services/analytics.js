@@ -0,0 +1,174 @@
+import FriendRequest from "../models/FriendRequest.js";
+import Post from "../models/Post.js";
+import PostImpression from "../models/PostImpression.js";
+import PostLike from "../models/PostLike.js";
+import ProfileView from "../models/ProfileView.js";
+import User from "../models/User.js";
+
+export const ANALYTICS_RANGES = [7, 30, 90];
+const TOP_POSTS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// every series is bucketed by UTC day so the buckets line up across metrics
+const dayOf = (field) => ({
+  $dateToString: { format: "%Y-%m-%d", date: field, timezone: "UTC" },
+});
+
+const countsByDay = async (Model, match, dateField = "$createdAt") => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: dayOf(dateField), count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(({ _id, count }) => [_id, count]));
+};
+
+const commentsByDay = async (userId, since) => {
+  const rows = await Post.aggregate([
+    { $match: { userId, "comments.createdAt": { $gte: since } } },
+    { $unwind: "$comments" },
+    {
+      $match: {
+        "comments.createdAt": { $gte: since },
+        "comments.userId": { $ne: userId },
+      },
+    },
+    { $group: { _id: dayOf("$comments.createdAt"), count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(({ _id, count }) => [_id, count]));
+};
+
+// impressions, likes and comments received in the window, summed per post
+const topPosts = async (userId, since) => {
+  const commentsPipeline = [
+    { $match: { userId, "comments.createdAt": { $gte: since } } },
+    { $unwind: "$comments" },
+    {
+      $match: {
+        "comments.createdAt": { $gte: since },
+        "comments.userId": { $ne: userId },
+      },
+    },
+    { $project: { postId: { $toString: "$_id" }, comments: { $literal: 1 } } },
+  ];
+
+  return PostImpression.aggregate([
+    { $match: { postUserId: userId, createdAt: { $gte: since } } },
+    { $project: { postId: 1, impressions: { $literal: 1 } } },
+    {
+      $unionWith: {
+        coll: PostLike.collection.name,
+        pipeline: [
+          { $match: { postUserId: userId, createdAt: { $gte: since } } },
+          { $project: { postId: 1, likes: { $literal: 1 } } },
+        ],
+      },
+    },
+    { $unionWith: { coll: Post.collection.name, pipeline: commentsPipeline } },
+    {
+      $group: {
+        _id: "$postId",
+        impressions: { $sum: { $ifNull: ["$impressions", 0] } },
+        likes: { $sum: { $ifNull: ["$likes", 0] } },
+        comments: { $sum: { $ifNull: ["$comments", 0] } },
+      },
+    },
+    {
+      $addFields: {
+        engagement: { $add: ["$likes", "$comments"] },
+        postObjectId: { $toObjectId: "$_id" },
+      },
+    },
+    { $sort: { engagement: -1, impressions: -1 } },
+    {
+      $lookup: {
+        from: Post.collection.name,
+        localField: "postObjectId",
+        foreignField: "_id",
+        as: "post",
+      },
+    },
+    // events can outlive their post
+    { $unwind: "$post" },
+    { $limit: TOP_POSTS },
+    {
+      $project: {
+        _id: 1,
+        impressions: 1,
+        likes: 1,
+        comments: 1,
+        description: "$post.description",
+        picturePath: "$post.picturePath",
+        createdAt: "$post.createdAt",
+      },
+    },
+  ]);
+};
+
+// unfriending is not recorded, so growth counts accepted requests only
+const newFriendsByDay = (userId, since) =>
+  countsByDay(
+    FriendRequest,
+    {
+      status: "accepted",
+      $or: [{ from: userId }, { to: userId }],
+      updatedAt: { $gte: since },
+    },
+    "$updatedAt"
+  );
+
+export const getAnalytics = async (userId, range) => {
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const since = new Date(today.getTime() - (range - 1) * DAY_MS);
+  const days = Array.from({ length: range }, (_, i) =>
+    new Date(since.getTime() + i * DAY_MS).toISOString().slice(0, 10)
+  );
+
+  const [user, views, impressions, likes, comments, newFriends, posts] =
+    await Promise.all([
+      User.findById(userId, { friends: 1 }),
+      countsByDay(ProfileView, {
+        profileId: userId,
+        createdAt: { $gte: since },
+      }),
+      countsByDay(PostImpression, {
+        postUserId: userId,
+        createdAt: { $gte: since },
+      }),
+      countsByDay(PostLike, {
+        postUserId: userId,
+        createdAt: { $gte: since },
+      }),
+      commentsByDay(userId, since),
+      newFriendsByDay(userId, since),
+      topPosts(userId, since),
+    ]);
+  if (!user) return null;
+
+  const series = days.map((day) => ({
+    day,
+    views: views.get(day) || 0,
+    impressions: impressions.get(day) || 0,
+    likes: likes.get(day) || 0,
+    comments: comments.get(day) || 0,
+  }));
+  const totals = series.reduce(
+    (sum, point) => ({
+      views: sum.views + point.views,
+      impressions: sum.impressions + point.impressions,
+      likes: sum.likes + point.likes,
+      comments: sum.comments + point.comments,
+    }),
+    { views: 0, impressions: 0, likes: 0, comments: 0 }
+  );
+
+  // walk back from today's friend count to get the running total per day
+  let total = user.friends.length;
+  const followers = [];
+  for (let i = days.length - 1; i >= 0; i--) {
+    const gained = newFriends.get(days[i]) || 0;
+    followers.unshift({ day: days[i], gained, total: Math.max(total, 0) });
+    total -= gained;
+  }
+
+  return { range, series, totals, topPosts: posts, followers };
+};
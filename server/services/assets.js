@@ -0,0 +1,17 @@
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { storage } from "../storage/index.js";
+import { variantNames } from "./images.js";
+
+// deletes every stored variant of picturePath once nothing refers to it
+export const removeUnusedAsset = async (picturePath) => {
+  const [postsUsing, usersUsing] = await Promise.all([
+    Post.countDocuments({ picturePath }),
+    User.countDocuments({ picturePath }),
+  ]);
+  if (postsUsing || usersUsing) return;
+
+  await Promise.all(
+    variantNames(picturePath).map((name) => storage.remove(name))
+  );
+};
@@ -0,0 +1,81 @@
+import FriendRequest from "../models/FriendRequest.js";
+import User from "../models/User.js";
+
+// blocking works both ways: neither side sees the other
+export const getBlockedIds = async (userId) => {
+  const [user, blockers] = await Promise.all([
+    User.findById(userId, { blocked: 1 }),
+    User.find({ blocked: String(userId) }, { _id: 1 }),
+  ]);
+  const ids = new Set(user ? user.blocked : []);
+  blockers.forEach(({ id }) => ids.add(id));
+  return [...ids];
+};
+
+// authors whose posts stay out of userId's feeds: blocked either way or muted
+export const getHiddenAuthorIds = async (userId) => {
+  const [blocked, user] = await Promise.all([
+    getBlockedIds(userId),
+    User.findById(userId, { muted: 1 }),
+  ]);
+  return [...new Set([...blocked, ...(user ? user.muted : [])])];
+};
+
+export const isBlockedBetween = async (userId, otherId) =>
+  Boolean(
+    await User.exists({
+      $or: [
+        { _id: userId, blocked: String(otherId) },
+        { _id: otherId, blocked: String(userId) },
+      ],
+    })
+  );
+
+// strips comments written by hidden users from post documents
+export const hideComments = (posts, hiddenIds) => {
+  if (!hiddenIds.length) return posts;
+  const hidden = new Set(hiddenIds);
+  return posts.map((post) => {
+    const plain = post.toJSON ? post.toJSON() : post;
+    return {
+      ...plain,
+      comments: plain.comments.filter(({ userId }) => !hidden.has(userId)),
+    };
+  });
+};
+
+export const hideBlockedComments = async (viewerId, posts) =>
+  hideComments(posts, await getBlockedIds(viewerId));
+
+/* BLOCK */
+// also ends any friendship and closes pending requests between the two
+export const blockUser = async (userId, targetId) => {
+  await Promise.all([
+    User.updateOne(
+      { _id: userId },
+      { $addToSet: { blocked: targetId }, $pull: { friends: targetId } }
+    ),
+    User.updateOne({ _id: targetId }, { $pull: { friends: userId } }),
+    FriendRequest.updateMany(
+      {
+        status: "pending",
+        $or: [
+          { from: userId, to: targetId },
+          { from: targetId, to: userId },
+        ],
+      },
+      { status: "cancelled" }
+    ),
+  ]);
+};
+
+export const unblockUser = (userId, targetId) =>
+  User.updateOne({ _id: userId }, { $pull: { blocked: targetId } });
+
+/* MUTE */
+// muted users are never told; their posts just stop showing up
+export const muteUser = (userId, targetId) =>
+  User.updateOne({ _id: userId }, { $addToSet: { muted: targetId } });
+
+export const unmuteUser = (userId, targetId) =>
+  User.updateOne({ _id: userId }, { $pull: { muted: targetId } });
@@ -0,0 +1,82 @@
+import archiver from "archiver";
+import path from "path";
+import Post from "../models/Post.js";
+import PostLike from "../models/PostLike.js";
+import User from "../models/User.js";
+import { storage } from "../storage/index.js";
+
+const json = (value) => JSON.stringify(value, null, 2);
+
+const collectData = async (user) => {
+  const id = user.id;
+  const [posts, commented, liked, likeEvents, friends] = await Promise.all([
+    Post.find({ userId: id }).sort({ createdAt: -1 }),
+    Post.find({ "comments.userId": id }, { comments: 1 }),
+    Post.find({ [`likes.${id}`]: true }, { userId: 1, description: 1 }),
+    PostLike.find({ userId: id }),
+    User.find(
+      { _id: { $in: user.friends } },
+      { firstName: 1, lastName: 1, occupation: 1, location: 1 }
+    ),
+  ]);
+
+  const comments = commented.flatMap((post) =>
+    post.comments
+      .filter((comment) => comment.userId === id)
+      .map(({ _id, text, parentId, createdAt, updatedAt }) => ({
+        _id,
+        postId: post.id,
+        text,
+        parentId,
+        createdAt,
+        updatedAt,
+      }))
+  );
+  const likedAt = new Map(
+    likeEvents.map((like) => [like.postId, like.createdAt])
+  );
+  const likes = liked.map(({ id: postId, userId, description }) => ({
+    postId,
+    postUserId: userId,
+    description,
+    likedAt: likedAt.get(postId) || null,
+  }));
+
+  return { posts, comments, likes, friends };
+};
+
+// streams a ZIP of everything the user has put on the platform into output
+export const writeExport = async (user, output) => {
+  const { posts, comments, likes, friends } = await collectData(user);
+  const { password, twoFactor, ...profile } = user.toObject();
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  // a media stream that fails mid-export rejects the export instead of
+  // surfacing as an uncaught error event
+  let fail;
+  const failed = new Promise((resolve, reject) => {
+    fail = reject;
+  });
+  failed.catch(() => {});
+  archive.on("error", fail);
+  archive.pipe(output);
+  archive.append(json(profile), { name: "profile.json" });
+  archive.append(json(posts), { name: "posts.json" });
+  archive.append(json(comments), { name: "comments.json" });
+  archive.append(json(likes), { name: "likes.json" });
+  archive.append(json(friends), { name: "friends.json" });
+
+  const pictures = new Set(
+    [user.picturePath, ...posts.map((post) => post.picturePath)].filter(Boolean)
+  );
+  for (const picturePath of pictures) {
+    // uploads that have gone missing are left out rather than failing the export
+    if (await storage.stat(picturePath)) {
+      const stream = storage.createReadStream(picturePath);
+      stream.on("error", fail);
+      archive.append(stream, { name: `media/${path.basename(picturePath)}` });
+    }
+  }
+
+  await Promise.race([archive.finalize(), failed]);
+};
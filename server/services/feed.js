@@ -0,0 +1,142 @@
+import Post from "../models/Post.js";
+import { encodeCursor, findPage, parseLimit } from "../utils/pagination.js";
+
+// only posts this recent are ranked; older ones follow newest first
+const RANKING_WINDOW_DAYS = 14;
+const MAX_CANDIDATES = 500;
+// a post loses half its recency score every this many hours
+const RECENCY_HALF_LIFE_HOURS = 24;
+
+const WEIGHTS = {
+  recency: 3,
+  likes: 1,
+  comments: 1.5,
+  affinity: 2,
+};
+
+// how often the viewer has liked or commented on each author's posts
+const getAffinity = async (viewerId, authorIds) => {
+  const rows = await Post.aggregate([
+    {
+      $match: {
+        userId: { $in: authorIds.filter((id) => id !== viewerId) },
+        $or: [{ [`likes.${viewerId}`]: true }, { "comments.userId": viewerId }],
+      },
+    },
+    { $group: { _id: "$userId", interactions: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map(({ _id, interactions }) => [_id, interactions]));
+};
+
+const scorePost = (post, affinity, now) => {
+  const ageHours = (now - new Date(post.createdAt).getTime()) / 3600000;
+  const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+  const likes = post.likes ? Object.keys(post.likes).length : 0;
+  const comments = post.comments ? post.comments.length : 0;
+
+  return (
+    WEIGHTS.recency * recency +
+    WEIGHTS.likes * Math.log1p(likes) +
+    WEIGHTS.comments * Math.log1p(comments) +
+    WEIGHTS.affinity * Math.log1p(affinity.get(post.userId) || 0)
+  );
+};
+
+// higher scores first and ties broken by id, so every post has one place
+const byRank = (a, b) =>
+  b.score - a.score || String(b.post._id).localeCompare(String(a.post._id));
+
+const encodePosition = (position) =>
+  Buffer.from(JSON.stringify(position)).toString("base64url");
+
+const decodePosition = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString()) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
+// once the ranked window is used up the feed goes on with older posts,
+// newest first; posts made after the first page never join this pass
+const getOlderPage = async (authorIds, { rankedAt, after }, limit) => {
+  const { items, nextCursor } = await findPage(
+    Post,
+    { userId: { $in: authorIds }, createdAt: { $lte: rankedAt } },
+    { cursor: after, limit }
+  );
+  return {
+    posts: items,
+    nextCursor:
+      nextCursor &&
+      encodePosition({ rankedAt, after: nextCursor, older: true }),
+  };
+};
+
+// the cursor pins the time posts were scored at and the last score and id
+// shown, so later pages continue the same order instead of shifting with it
+export const getRankedFeed = async (viewerId, authorIds, { cursor, limit }) => {
+  const pageSize = parseLimit(limit);
+  const position = cursor ? decodePosition(cursor) : {};
+  const pinned = new Date(position.rankedAt);
+  const rankedAt = isNaN(pinned) ? new Date() : pinned;
+  if (position.older) {
+    return getOlderPage(authorIds, { ...position, rankedAt }, pageSize);
+  }
+
+  const since = new Date(rankedAt.getTime() - RANKING_WINDOW_DAYS * 86400000);
+  const [candidates, affinity] = await Promise.all([
+    Post.find({
+      userId: { $in: authorIds },
+      createdAt: { $gte: since, $lte: rankedAt },
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    getAffinity(viewerId, authorIds),
+  ]);
+  if (!candidates.length) {
+    return getOlderPage(authorIds, { rankedAt, after: null }, pageSize);
+  }
+
+  const last = position.score !== undefined && {
+    score: position.score,
+    post: { _id: position._id },
+  };
+  const remaining = candidates
+    .map((post) => ({
+      post,
+      score: scorePost(post, affinity, rankedAt.getTime()),
+    }))
+    .sort(byRank)
+    .filter((entry) => !last || byRank(last, entry) < 0);
+
+  const page = remaining.slice(0, pageSize);
+  if (remaining.length > pageSize) {
+    const { post: lastPost, score } = page[page.length - 1];
+    return {
+      posts: page.map(({ post }) => post),
+      nextCursor: encodePosition({
+        rankedAt,
+        score,
+        _id: String(lastPost._id),
+      }),
+    };
+  }
+
+  // everything older than the oldest candidate comes next
+  const oldest = candidates[candidates.length - 1];
+  const hasOlder = await Post.exists({
+    userId: { $in: authorIds },
+    $or: [
+      { createdAt: { $lt: oldest.createdAt } },
+      { createdAt: oldest.createdAt, _id: { $lt: oldest._id } },
+    ],
+  });
+  return {
+    posts: page.map(({ post }) => post),
+    nextCursor: hasOlder
+      ? encodePosition({ rankedAt, after: encodeCursor(oldest), older: true })
+      : null,
+  };
+};
@@ -0,0 +1,63 @@
+import sharp from "sharp";
+
+// longest edge of each variant; images are never enlarged
+export const IMAGE_SIZES = { avatar: 160, feed: 720, full: 1600 };
+const FORMATS = [
+  { ext: "webp", contentType: "image/webp", options: { quality: 80 } },
+  {
+    ext: "jpg",
+    contentType: "image/jpeg",
+    options: { quality: 82, mozjpeg: true },
+  },
+];
+
+// stored picture paths point at the full-size JPEG, which every client can show
+const VARIANT_PATTERN = /^([a-f0-9]{64})-full\.jpg$/;
+
+export const variantName = (hash, size, ext) => `${hash}-${size}.${ext}`;
+
+// every stored file that belongs to a picturePath, including itself
+export const variantNames = (picturePath) => {
+  const match = VARIANT_PATTERN.exec(picturePath || "");
+  if (!match) return picturePath ? [picturePath] : [];
+
+  return Object.keys(IMAGE_SIZES).flatMap((size) =>
+    FORMATS.map(({ ext }) => variantName(match[1], size, ext))
+  );
+};
+
+// width and height as displayed, i.e. after applying EXIF orientation
+export const getDimensions = async (buffer) => {
+  const { width, height, orientation } = await sharp(buffer).metadata();
+  return orientation >= 5
+    ? { width: height, height: width }
+    : { width, height };
+};
+
+// resizes an upload into every size and format. sharp drops EXIF (GPS
+// included) unless asked to keep it; rotate() bakes the orientation in first
+export const processImage = async (buffer, hash) => {
+  const source = sharp(buffer, { failOn: "error" }).rotate();
+  const { width, height } = await getDimensions(buffer);
+
+  const files = await Promise.all(
+    Object.entries(IMAGE_SIZES).flatMap(([size, edge]) =>
+      FORMATS.map(async ({ ext, contentType, options }) => ({
+        name: variantName(hash, size, ext),
+        contentType,
+        buffer: await source
+          .clone()
+          .resize(edge, edge, { fit: "inside", withoutEnlargement: true })
+          .toFormat(ext === "jpg" ? "jpeg" : ext, options)
+          .toBuffer(),
+      }))
+    )
+  );
+
+  return {
+    picturePath: variantName(hash, "full", "jpg"),
+    width,
+    height,
+    files,
+  };
+};
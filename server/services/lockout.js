@@ -0,0 +1,38 @@
+import { limiterStore as store } from "../rateLimit/index.js";
+
+const MINUTE_MS = 60 * 1000;
+// failures are forgotten this long after the first one in a run
+const FAILURE_WINDOW_MS = 24 * 60 * MINUTE_MS;
+const BASE_LOCKOUT_MS = MINUTE_MS;
+const MAX_LOCKOUT_MS = 60 * MINUTE_MS;
+
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+// accounts are keyed by normalized email whether or not they exist, so a
+// lockout says nothing about which emails are registered
+const failuresKey = (account) => `login-failures:${account}`;
+const lockKey = (account) => `login-lock:${account}`;
+
+// seconds until the account may try again, 0 when it is not locked
+export const getLockout = async (account) => {
+  const lock = await store.get(lockKey(account));
+  if (!lock) return 0;
+  return Math.max(Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000), 0);
+};
+
+// every failure past the threshold doubles the lockout, up to an hour
+export const recordLoginFailure = async (account) => {
+  const { count } = await store.hit(failuresKey(account), FAILURE_WINDOW_MS);
+  const excess = count - LOCKOUT_THRESHOLD;
+  if (excess < 0) return;
+
+  const duration = Math.min(BASE_LOCKOUT_MS * 2 ** excess, MAX_LOCKOUT_MS);
+  await store.set(lockKey(account), count, duration);
+};
+
+export const clearLoginFailures = async (account) => {
+  await Promise.all([
+    store.reset(failuresKey(account)),
+    store.reset(lockKey(account)),
+  ]);
+};
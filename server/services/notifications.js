@@ -0,0 +1,44 @@
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+
+// failures are logged, not thrown, so they never fail the triggering action
+export const notify = async ({ userId, actorId, type, postId = null }) => {
+  try {
+    if (!userId || String(userId) === String(actorId)) return null;
+
+    const actor = await User.findById(actorId);
+    if (!actor) return null;
+
+    const key = {
+      userId: String(userId),
+      actorId: String(actorId),
+      type,
+      postId: postId && String(postId),
+    };
+    const actorFields = {
+      actorFirstName: actor.firstName,
+      actorLastName: actor.lastName,
+      actorPicturePath: actor.picturePath,
+    };
+    // one like notification per liker and post, however often it is toggled
+    if (type === "like") {
+      return await Notification.findOneAndUpdate(
+        key,
+        { $setOnInsert: actorFields },
+        { upsert: true, new: true }
+      );
+    }
+    return await new Notification({ ...key, ...actorFields }).save();
+  } catch (err) {
+    console.log(`${err} notification not recorded`);
+    return null;
+  }
+};
+
+// notifications from hiddenIds, such as blocked users, are not counted
+export const countUnread = (userId, hiddenIds = []) =>
+  Notification.countDocuments({
+    userId,
+    actorId: { $nin: hiddenIds },
+    read: false,
+  });
@@ -0,0 +1,160 @@
+import jwt from "jsonwebtoken";
+import { WebSocketServer } from "ws";
+import User from "../models/User.js";
+import { getBlockedIds, hideComments } from "./blocks.js";
+import { getActiveSession, getActiveSessionIds } from "./sessions.js";
+
+// sign-outs elsewhere are caught by checking open sockets this often
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+const SESSION_ENDED = 4001;
+const TOKEN_EXPIRED = 4002;
+// longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// every open socket, grouped by the user it authenticated as; each socket
+// also carries the id of its session
+const sockets = new Map();
+
+const getToken = (req) => {
+  const { searchParams } = new URL(req.url, "http://localhost");
+  let token = searchParams.get("token") || req.headers.authorization || "";
+  if (token.startsWith("Bearer ")) token = token.slice(7).trimLeft();
+  return token;
+};
+
+const addSocket = ({ userId, sessionId, expiresAt }, ws) => {
+  if (!sockets.has(userId)) sockets.set(userId, new Set());
+  sockets.get(userId).add(ws);
+  ws.sessionId = sessionId;
+
+  // the client reconnects with its refreshed token
+  if (expiresAt) {
+    const timeout = setTimeout(
+      () => ws.close(TOKEN_EXPIRED, "Token expired"),
+      Math.min(expiresAt - Date.now(), MAX_TIMEOUT_MS)
+    );
+    ws.on("close", () => clearTimeout(timeout));
+  }
+};
+
+const removeSocket = (userId, ws) => {
+  const userSockets = sockets.get(userId);
+  if (!userSockets) return;
+  userSockets.delete(ws);
+  if (!userSockets.size) sockets.delete(userId);
+};
+
+// the user and session ids for a valid token of a live session, with the
+// time the token expires; otherwise null
+const authenticate = async (req) => {
+  try {
+    const { id, sid, exp } = jwt.verify(getToken(req), process.env.JWT_SECRET);
+    const session = await getActiveSession(sid);
+    if (!session || session.userId !== String(id)) return null;
+    return {
+      userId: String(id),
+      sessionId: String(sid),
+      expiresAt: exp && exp * 1000,
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+const closeSockets = (userSockets, shouldClose) =>
+  userSockets.forEach((ws) => {
+    if (shouldClose(ws)) ws.close(SESSION_ENDED, "Session has ended");
+  });
+
+// covers sessions that ended without going through this server
+const checkSessions = async () => {
+  const open = [...sockets.values()].flatMap((userSockets) => [...userSockets]);
+  if (!open.length) return;
+  const active = await getActiveSessionIds(open.map((ws) => ws.sessionId));
+  sockets.forEach((userSockets) =>
+    closeSockets(userSockets, (ws) => !active.has(ws.sessionId))
+  );
+};
+
+/* SETUP */
+// shares the Express HTTP server and accepts the same tokens as verifyToken
+export const initRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", (req, socket, head) => {
+    if (!req.url.startsWith("/ws")) return socket.destroy();
+
+    authenticate(req).then((auth) => {
+      if (!auth) {
+        socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+        return socket.destroy();
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        addSocket(auth, ws);
+        ws.on("close", () => removeSocket(auth.userId, ws));
+      });
+    });
+  });
+
+  const interval = setInterval(
+    () =>
+      checkSessions().catch((err) =>
+        console.log(`${err} realtime sessions not checked`)
+      ),
+    SESSION_CHECK_INTERVAL_MS
+  );
+  interval.unref();
+  wss.on("close", () => clearInterval(interval));
+
+  return wss;
+};
+
+/* SIGN OUT */
+// closes the sockets of one ended session
+export const closeSessionSockets = (sessionId) =>
+  sockets.forEach((userSockets) =>
+    closeSockets(userSockets, (ws) => ws.sessionId === String(sessionId))
+  );
+
+// closes every socket of the user's, except those of keepSessionId
+export const closeUserSockets = (userId, keepSessionId = null) =>
+  closeSockets(
+    sockets.get(String(userId)) || [],
+    (ws) => ws.sessionId !== String(keepSessionId)
+  );
+
+/* EMIT */
+export const emitToUsers = (userIds, event) => {
+  const payload = JSON.stringify(event);
+  new Set(userIds.map(String)).forEach((userId) => {
+    (sockets.get(userId) || []).forEach((ws) => {
+      if (ws.readyState === ws.OPEN) ws.send(payload);
+    });
+  });
+};
+
+// sends a post event to userId and their online friends, each getting the
+// post as they may see it: nothing from authors they muted or blocked and no
+// comments by people they blocked
+export const emitPostToFriendsOf = async (userId, type, post) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user) return;
+
+    const online = [...new Set([userId, ...user.friends].map(String))].filter(
+      (id) => sockets.has(id)
+    );
+    const viewers = await User.find({ _id: { $in: online } }, { muted: 1 });
+    await Promise.all(
+      viewers.map(async (viewer) => {
+        const blocked = await getBlockedIds(viewer.id);
+        if ([...blocked, ...viewer.muted].includes(post.userId)) return;
+        const [visiblePost] = hideComments([post], blocked);
+        emitToUsers([viewer.id], { type, post: visiblePost });
+      })
+    );
+  } catch (err) {
+    console.log(`${err} realtime event not sent`);
+  }
+};
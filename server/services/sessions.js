@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+
+// last-seen is written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+const SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X/],
+  ["Linux", /Linux/],
+];
+
+const match = (list, userAgent) =>
+  (list.find(([, pattern]) => pattern.test(userAgent)) || [])[0];
+
+// a short label such as "Firefox on Windows"
+export const describeDevice = (userAgent = "") => {
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+export const createSession = (req, userId, expiresAt) => {
+  const userAgent = req.get("User-Agent") || "";
+  return new Session({
+    userId,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt,
+  }).save();
+};
+
+// null once the session has been signed out or has expired
+export const getActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+  return Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// the ids among sessionIds whose sessions are still live
+export const getActiveSessionIds = async (sessionIds) => {
+  const sessions = await Session.find(
+    {
+      _id: { $in: sessionIds.filter((id) => mongoose.isValidObjectId(id)) },
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { _id: 1 }
+  );
+  return new Set(sessions.map(({ id }) => id));
+};
+
+export const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < TOUCH_INTERVAL_MS) return;
+  await Session.updateOne(
+    { _id: session._id },
+    { lastSeenAt: new Date(), ip: req.ip }
+  );
+};
+
+export const listSessions = (userId) =>
+  Session.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+import FriendRequest from "../models/FriendRequest.js";
+import Post from "../models/Post.js";
+import PostLike from "../models/PostLike.js";
+import User from "../models/User.js";
+import { getBlockedIds } from "./blocks.js";
+
+// only interactions this recent count towards a suggestion
+const INTERACTION_WINDOW_DAYS = 30;
+const MAX_CANDIDATES = 500;
+
+const WEIGHTS = {
+  mutualFriends: 3,
+  location: 1,
+  occupation: 1.5,
+  interactions: 2,
+};
+
+const normalize = (text) => (text || "").trim().toLowerCase();
+
+// people the user is already connected to or has ruled out
+const getExcludedIds = async (user) => {
+  const [blocked, requests] = await Promise.all([
+    getBlockedIds(user.id),
+    FriendRequest.find(
+      { status: "pending", $or: [{ from: user.id }, { to: user.id }] },
+      { from: 1, to: 1 }
+    ),
+  ]);
+  return new Set([
+    user.id,
+    ...user.friends.map(String),
+    ...user.dismissedSuggestions,
+    ...blocked,
+    ...requests.flatMap(({ from, to }) => [from, to]),
+  ]);
+};
+
+// how many of the user's friends each friend-of-a-friend is connected to
+const getMutualFriends = async (user) => {
+  const friends = await User.find(
+    { _id: { $in: user.friends } },
+    { friends: 1 }
+  );
+  const counts = new Map();
+  friends.forEach((friend) =>
+    friend.friends.forEach((id) => counts.set(id, (counts.get(id) || 0) + 1))
+  );
+  return counts;
+};
+
+// comments on each other's posts, replies in the same threads and likes
+const getInteractions = async (userId) => {
+  const since = new Date(Date.now() - INTERACTION_WINDOW_DAYS * 86400000);
+  const [threads, likesReceived, likesGiven] = await Promise.all([
+    Post.aggregate([
+      {
+        $match: {
+          $or: [{ userId }, { "comments.userId": userId }],
+          updatedAt: { $gte: since },
+        },
+      },
+      {
+        $project: { people: { $setUnion: ["$comments.userId", ["$userId"]] } },
+      },
+      { $unwind: "$people" },
+      { $group: { _id: "$people", count: { $sum: 1 } } },
+    ]),
+    PostLike.aggregate([
+      { $match: { postUserId: userId, createdAt: { $gte: since } } },
+      { $group: { _id: "$userId", count: { $sum: 1 } } },
+    ]),
+    PostLike.aggregate([
+      { $match: { userId, createdAt: { $gte: since } } },
+      { $group: { _id: "$postUserId", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const counts = new Map();
+  [...threads, ...likesReceived, ...likesGiven].forEach(({ _id, count }) =>
+    counts.set(_id, (counts.get(_id) || 0) + count)
+  );
+  return counts;
+};
+
+// ranks people the user isn't connected to yet, best match first
+export const getSuggestions = async (userId, limit) => {
+  const user = await User.findById(userId).select("+dismissedSuggestions");
+  if (!user) return null;
+
+  const myLocation = normalize(user.location);
+  const myOccupation = normalize(user.occupation);
+  const sameProfile = [
+    myLocation && { location: user.location.trim() },
+    myOccupation && { occupation: user.occupation.trim() },
+  ].filter(Boolean);
+
+  const [excluded, mutualFriends, interactions, similar] = await Promise.all([
+    getExcludedIds(user),
+    getMutualFriends(user),
+    getInteractions(userId),
+    sameProfile.length
+      ? User.find({ $or: sameProfile }, { _id: 1 })
+          .collation({ locale: "en", strength: 2 })
+          .limit(MAX_CANDIDATES)
+      : [],
+  ]);
+
+  const candidateIds = new Set([
+    ...mutualFriends.keys(),
+    ...interactions.keys(),
+    ...similar.map(({ id }) => id),
+  ]);
+  excluded.forEach((id) => candidateIds.delete(id));
+  // comments by purged accounts carry a placeholder instead of an id
+  const ids = [...candidateIds].filter((id) => mongoose.isValidObjectId(id));
+
+  const candidates = await User.find(
+    {
+      _id: { $in: ids.slice(0, MAX_CANDIDATES) },
+      deletionScheduledFor: null,
+    },
+    { firstName: 1, lastName: 1, occupation: 1, location: 1, picturePath: 1 }
+  );
+
+  return candidates
+    .map(({ _id, firstName, lastName, occupation, location, picturePath }) => {
+      const id = String(_id);
+      const mutual = mutualFriends.get(id) || 0;
+      const sharedLocation =
+        Boolean(myLocation) && normalize(location) === myLocation;
+      const sharedOccupation =
+        Boolean(myOccupation) && normalize(occupation) === myOccupation;
+      const score =
+        WEIGHTS.mutualFriends * Math.log1p(mutual) +
+        WEIGHTS.location * sharedLocation +
+        WEIGHTS.occupation * sharedOccupation +
+        WEIGHTS.interactions * Math.log1p(interactions.get(id) || 0);
+      return {
+        _id,
+        firstName,
+        lastName,
+        occupation,
+        location,
+        picturePath,
+        mutualFriends: mutual,
+        sharedLocation,
+        sharedOccupation,
+        score,
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ score, ...suggestion }) => suggestion);
+};
+
+// a dismissed person is never suggested again
+export const dismissSuggestion = (userId, targetId) =>
+  User.updateOne(
+    { _id: userId },
+    { $addToSet: { dismissedSuggestions: targetId } }
+  );
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import { closeSessionSockets, closeUserSockets } from "./realtime.js";
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 7;
+const REFRESH_COOKIE = "refreshToken";
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000);
+
+export const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const setRefreshCookie = (res, token, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "lax",
+    path: "/auth",
+    expires: expiresAt,
+  });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: "/auth" });
+};
+
+const getRefreshCookie = (req) => req.cookies && req.cookies[REFRESH_COOKIE];
+
+/* ISSUE */
+// family is the id of the session the token belongs to
+const createRefreshToken = async (userId, family) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const saved = await new RefreshToken({
+    userId,
+    tokenHash: hash(token),
+    family,
+    expiresAt: refreshTokenExpiry(),
+  }).save();
+  return { token, saved };
+};
+
+export const issueRefreshToken = async (res, userId, family) => {
+  const { token, saved } = await createRefreshToken(userId, family);
+  setRefreshCookie(res, token, saved.expiresAt);
+  return saved;
+};
+
+/* ROTATE */
+// rotations in progress by token hash: requests racing with the same cookie
+// share its one successor rather than each getting credentials of their own
+const rotations = new Map();
+
+// returns the user and session ids plus a new access token for a valid
+// token, or null once the token is unusable. presenting an already rotated
+// token revokes its whole family.
+export const rotateRefreshToken = async (req, res) => {
+  const token = getRefreshCookie(req);
+  if (!token) return null;
+
+  const tokenHash = hash(token);
+  if (!rotations.has(tokenHash)) {
+    rotations.set(
+      tokenHash,
+      rotate(tokenHash).finally(() => rotations.delete(tokenHash))
+    );
+  }
+  const rotated = await rotations.get(tokenHash);
+  if (!rotated) return null;
+
+  setRefreshCookie(res, rotated.refreshToken, rotated.expiresAt);
+  const { userId, sessionId, accessToken } = rotated;
+  return { userId, sessionId, accessToken };
+};
+
+const rotate = async (tokenHash) => {
+  const stored = await RefreshToken.findOne({ tokenHash });
+  if (!stored || stored.expiresAt < new Date()) return null;
+
+  // only the request that flips revokedAt may rotate; for any other the
+  // token was already used
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+
+  const session = await findSession(stored.family);
+  if (!session || session.revokedAt) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+
+  const { token, saved: next } = await createRefreshToken(
+    stored.userId,
+    stored.family
+  );
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: next.id });
+  session.expiresAt = next.expiresAt;
+  await session.save();
+
+  return {
+    userId: stored.userId,
+    sessionId: stored.family,
+    accessToken: signAccessToken(stored.userId, stored.family),
+    refreshToken: token,
+    expiresAt: next.expiresAt,
+  };
+};
+
+/* REVOKE */
+// ends the session along with its refresh tokens
+export const revokeFamily = async (family) => {
+  const revokedAt = new Date();
+  await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt });
+  if (mongoose.isValidObjectId(family)) {
+    await Session.updateOne({ _id: family, revokedAt: null }, { revokedAt });
+  }
+  closeSessionSockets(family);
+};
+
+export const revokeRefreshToken = async (req) => {
+  const token = getRefreshCookie(req);
+  if (!token) return;
+
+  const stored = await RefreshToken.findOne({ tokenHash: hash(token) });
+  if (stored) await revokeFamily(stored.family);
+};
+
+// signs the user out everywhere, e.g. after a password reset; keepFamily
+// spares one session, such as the one asking
+export const revokeUserTokens = async (userId, keepFamily = null) => {
+  const revokedAt = new Date();
+  const tokens = { userId, revokedAt: null };
+  const sessions = { userId, revokedAt: null };
+  if (keepFamily) {
+    tokens.family = { $ne: keepFamily };
+    sessions._id = { $ne: keepFamily };
+  }
+  await RefreshToken.updateMany(tokens, { revokedAt });
+  await Session.updateMany(sessions, { revokedAt });
+  closeUserSockets(userId, keepFamily);
+};
+
+/* HELPERS */
+// refresh tokens from before sessions were tracked have no session
+const findSession = (family) =>
+  mongoose.isValidObjectId(family) ? Session.findById(family) : null;
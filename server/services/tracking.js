@@ -0,0 +1,69 @@
+import Post from "../models/Post.js";
+import PostImpression from "../models/PostImpression.js";
+import ProfileView from "../models/ProfileView.js";
+import User from "../models/User.js";
+
+// the most post ids accepted in one impressions batch
+export const MAX_IMPRESSION_BATCH = 50;
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// returns true when this is the viewer's first view of the profile today
+export const recordProfileView = async (profileId, viewerId) => {
+  if (String(profileId) === String(viewerId)) return false;
+
+  // repeat visits still bump updatedAt, which orders the "who viewed" list
+  const { upsertedCount } = await ProfileView.updateOne(
+    { profileId, viewerId, day: dayKey() },
+    { $setOnInsert: { profileId, viewerId } },
+    { upsert: true }
+  );
+  if (!upsertedCount) return false;
+
+  await User.updateOne({ _id: profileId }, { $inc: { viewedProfile: 1 } });
+  return true;
+};
+
+// returns how many of the post ids were new impressions for this viewer today
+export const recordImpressions = async (postIds, viewerId) => {
+  const posts = await Post.find(
+    { _id: { $in: postIds }, userId: { $ne: viewerId } },
+    { userId: 1 }
+  );
+  if (!posts.length) return 0;
+
+  const day = dayKey();
+  const { upsertedIds } = await PostImpression.bulkWrite(
+    posts.map(({ id, userId }) => ({
+      updateOne: {
+        filter: { postId: id, viewerId, day },
+        update: { $setOnInsert: { postUserId: userId } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  const counted = Object.keys(upsertedIds).map((index) => posts[index]);
+  if (!counted.length) return 0;
+
+  const perAuthor = {};
+  counted.forEach(({ userId }) => {
+    perAuthor[userId] = (perAuthor[userId] || 0) + 1;
+  });
+  await Promise.all([
+    Post.updateMany(
+      { _id: { $in: counted.map(({ id }) => id) } },
+      { $inc: { impressions: 1 } }
+    ),
+    User.bulkWrite(
+      Object.entries(perAuthor).map(([userId, count]) => ({
+        updateOne: {
+          filter: { _id: userId },
+          update: { $inc: { impressions: count } },
+        },
+      }))
+    ),
+  ]);
+  return counted.length;
+};
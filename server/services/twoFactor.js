@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { authenticator } from "otplib";
+import QRCode from "qrcode";
+
+const ISSUER = "FriendZone";
+const STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = "5m";
+
+// accept the previous and next code too, to allow for clock drift
+authenticator.options = { window: 1 };
+
+// fields that are deselected by default on User
+export const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const normalizeCode = (code) =>
+  String(code || "")
+    .replace(/[\s-]/g, "")
+    .toLowerCase();
+
+/* ENROLLMENT */
+export const createEnrollment = async (email) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(email, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// returns the plain codes to show once, and the hashes to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hash(normalizeCode(code))) };
+};
+
+/* VERIFICATION */
+// checks a TOTP code against secret; returns the matched time step or null
+export const checkTotp = (code, secret, lastUsedStep) => {
+  const token = normalizeCode(code);
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (lastUsedStep && step <= lastUsedStep) return null;
+  return step;
+};
+
+// accepts a TOTP or an unused recovery code and records its use on user.
+// user must be loaded with TWO_FACTOR_FIELDS; the caller saves it.
+export const verifySecondFactor = (user, code) => {
+  const { twoFactor } = user;
+  const step = checkTotp(code, twoFactor.secret, twoFactor.lastUsedStep);
+  if (step !== null) {
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  const hashed = hash(normalizeCode(code));
+  if (twoFactor.recoveryCodes.includes(hashed)) {
+    twoFactor.recoveryCodes = twoFactor.recoveryCodes.filter(
+      (h) => h !== hashed
+    );
+    return true;
+  }
+  return false;
+};
+
+/* LOGIN CHALLENGE */
+// signed with its own key so it can never pass as an access token
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa`;
+
+export const signChallengeToken = (userId) =>
+  jwt.sign({ id: userId }, challengeSecret(), { expiresIn: CHALLENGE_TTL });
+
+export const verifyChallengeToken = (token) => {
+  try {
+    return String(jwt.verify(token, challengeSecret()).id);
+  } catch (err) {
+    return null;
+  }
+};
@@ -0,0 +1,45 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const ASSETS_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../public/assets"
+);
+
+// names are generated server-side, but never let one leave ASSETS_DIR
+const resolve = (name) => path.join(ASSETS_DIR, path.basename(name));
+
+const diskStorage = {
+  name: "disk",
+
+  async save(name, buffer) {
+    await fs.promises.mkdir(ASSETS_DIR, { recursive: true });
+    await fs.promises.writeFile(resolve(name), buffer);
+  },
+
+  async stat(name) {
+    try {
+      const stats = await fs.promises.stat(resolve(name));
+      return { length: stats.size, uploadDate: stats.mtime };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+
+  // `end` is inclusive, as in an HTTP Range header
+  createReadStream(name, { start, end } = {}) {
+    return fs.createReadStream(resolve(name), { start, end });
+  },
+
+  async remove(name) {
+    try {
+      await fs.promises.unlink(resolve(name));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  },
+};
+
+export default diskStorage;
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const BUCKET_NAME = "media";
+
+// the bucket needs an open connection, so it is created on first use
+let bucket;
+const getBucket = () => {
+  if (!bucket) {
+    bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: BUCKET_NAME,
+    });
+  }
+  return bucket;
+};
+
+const findFile = async (name) => {
+  const [file] = await getBucket()
+    .find({ filename: name })
+    .sort({ uploadDate: -1 })
+    .limit(1)
+    .toArray();
+  return file || null;
+};
+
+const gridfsStorage = {
+  name: "gridfs",
+
+  async save(name, buffer, contentType) {
+    // names are content hashes, so an existing file is the same file
+    if (await findFile(name)) return;
+
+    await new Promise((resolve, reject) => {
+      getBucket()
+        .openUploadStream(name, { contentType })
+        .on("error", reject)
+        .on("finish", resolve)
+        .end(buffer);
+    });
+  },
+
+  async stat(name) {
+    const file = await findFile(name);
+    return (
+      file && {
+        length: file.length,
+        uploadDate: file.uploadDate,
+        contentType: file.contentType,
+      }
+    );
+  },
+
+  // `end` is inclusive, as in an HTTP Range header; GridFS wants it exclusive
+  createReadStream(name, { start, end } = {}) {
+    return getBucket().openDownloadStreamByName(name, {
+      start,
+      end: end === undefined ? undefined : end + 1,
+    });
+  },
+
+  async remove(name) {
+    const files = await getBucket().find({ filename: name }).toArray();
+    await Promise.all(files.map((file) => getBucket().delete(file._id)));
+  },
+};
+
+export default gridfsStorage;
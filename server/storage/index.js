@@ -0,0 +1,11 @@
+import diskStorage from "./disk.js";
+import gridfsStorage from "./gridfs.js";
+
+const BACKENDS = { disk: diskStorage, gridfs: gridfsStorage };
+
+const name = process.env.MEDIA_STORAGE || "disk";
+if (!BACKENDS[name]) throw new Error(`Unknown MEDIA_STORAGE "${name}"`);
+
+export const storage = BACKENDS[name];
+
+export { diskStorage, gridfsStorage };
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import request from "supertest";
+import app from "../app.js";
+import AccountToken from "../models/AccountToken.js";
+import User from "../models/User.js";
+
+const REGISTERED = "someone@example.com";
+
+// issuing the reset token fails, as a broken mail setup would
+before(() => {
+  mock.method(User, "findOne", async ({ email }) =>
+    email === REGISTERED ? { id: "someone", email, firstName: "Some" } : null
+  );
+  mock.method(AccountToken, "updateMany", async () => {
+    throw new Error("mail is down");
+  });
+  mock.method(console, "log", () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe("POST /auth/forgot", () => {
+  it("answers the same for registered and unknown emails", async () => {
+    const registered = await request(app)
+      .post("/auth/forgot")
+      .send({ email: REGISTERED });
+    const unknown = await request(app)
+      .post("/auth/forgot")
+      .send({ email: "nobody@example.com" });
+
+    assert.equal(registered.status, 200);
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(registered.body, unknown.body);
+  });
+});
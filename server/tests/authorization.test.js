@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import request from "supertest";
+import app from "../app.js";
+import Post from "../models/Post.js";
+import { mockSessions, newId, withToken } from "./helpers.js";
+
+const me = newId();
+const other = newId();
+const postId = newId();
+
+let token;
+
+before(() => {
+  token = mockSessions()(me);
+  mock.method(Post, "findById", async (id) =>
+    String(id) === postId
+      ? { _id: postId, userId: other, description: "not mine", edits: [] }
+      : null
+  );
+});
+
+after(() => mock.restoreAll());
+
+const auth = (req) => withToken(req, token);
+
+describe("impersonation", () => {
+  it("rejects liking a post on behalf of someone else", async () => {
+    const res = await auth(request(app).patch(`/posts/${postId}/like`)).send({
+      userId: other,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects changing someone else's friend list", async () => {
+    const res = await auth(request(app).patch(`/users/${other}/${newId()}`));
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects creating a post as someone else", async () => {
+    const res = await auth(request(app).post("/posts"))
+      .field("userId", other)
+      .field("description", "hello");
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects editing someone else's post", async () => {
+    const res = await auth(request(app).patch(`/posts/${postId}`)).send({
+      description: "edited",
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("rejects deleting someone else's post", async () => {
+    const res = await auth(request(app).delete(`/posts/${postId}`));
+    assert.equal(res.status, 403);
+  });
+});
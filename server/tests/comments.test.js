@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import request from "supertest";
+import app from "../app.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { mockSessions, newId, withToken } from "./helpers.js";
+
+const me = newId();
+const blocker = newId();
+
+let token;
+let post;
+let saved;
+
+before(() => {
+  token = mockSessions()(me);
+  post = new Post({
+    userId: me,
+    firstName: "Post",
+    lastName: "Author",
+    likes: {},
+    comments: [
+      { userId: blocker, firstName: "B", lastName: "L", text: "hidden" },
+    ],
+  });
+  mock.method(Post, "findById", async () => post);
+  saved = mock.method(Post.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(User, "findById", async () => ({ blocked: [] }));
+  mock.method(User, "find", async () => [{ id: blocker }]);
+});
+
+after(() => mock.restoreAll());
+
+describe("PATCH /posts/:id/comments/:commentId/like", () => {
+  it("hides comments by someone who blocked the liker", async () => {
+    const [comment] = post.comments;
+    const res = await withToken(
+      request(app).patch(`/posts/${post.id}/comments/${comment.id}/like`),
+      token
+    );
+
+    assert.equal(res.status, 404);
+    assert.equal(saved.mock.callCount(), 0);
+  });
+});
+
+describe("POST /posts/:id/comments", () => {
+  for (const [label, text] of [
+    ["missing", undefined],
+    ["blank", "   "],
+    ["oversized", "x".repeat(1001)],
+  ]) {
+    it(`rejects ${label} text as a bad request`, async () => {
+      saved.mock.resetCalls();
+      const res = await withToken(
+        request(app).post(`/posts/${post.id}/comments`),
+        token
+      ).send({ text });
+
+      assert.equal(res.status, 400);
+      assert.equal(saved.mock.callCount(), 0);
+    });
+  }
+});
@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import { Readable, Writable } from "node:stream";
+import Post from "../models/Post.js";
+import PostLike from "../models/PostLike.js";
+import User from "../models/User.js";
+import { diskStorage } from "../storage/index.js";
+import { writeExport } from "../services/dataExport.js";
+
+const emptyQuery = () =>
+  Object.assign(Promise.resolve([]), { sort: async () => [] });
+
+afterEach(() => mock.restoreAll());
+
+describe("writeExport", () => {
+  it("rejects when a media stream fails instead of crashing", async () => {
+    mock.method(Post, "find", emptyQuery);
+    mock.method(PostLike, "find", emptyQuery);
+    mock.method(User, "find", emptyQuery);
+    mock.method(diskStorage, "stat", async () => ({ length: 1 }));
+    mock.method(
+      diskStorage,
+      "createReadStream",
+      () =>
+        new Readable({
+          read() {
+            this.destroy(new Error("chunk missing"));
+          },
+        })
+    );
+
+    const user = new User({
+      firstName: "Test",
+      lastName: "User",
+      email: "test@example.com",
+      password: "secret",
+      picturePath: "avatar.jpg",
+    });
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        callback();
+      },
+    });
+
+    await assert.rejects(writeExport(user, output), /chunk missing/);
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import Post from "../models/Post.js";
+import { getRankedFeed } from "../services/feed.js";
+import { newId } from "./helpers.js";
+
+const viewer = newId();
+const friend = newId();
+const HOUR_MS = 3600000;
+
+const makePost = (hoursAgo, likes = 0) => ({
+  _id: newId(),
+  userId: friend,
+  createdAt: new Date(Date.now() - hoursAgo * HOUR_MS),
+  likes: Object.fromEntries(
+    Array.from({ length: likes }, () => [newId(), true])
+  ),
+  comments: [],
+});
+
+const recent = [makePost(1), makePost(2, 5), makePost(3)];
+const old = makePost(24 * 30);
+
+const query = (results) => {
+  const chain = {
+    sort: () => chain,
+    limit: () => chain,
+    lean: async () => results,
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject),
+  };
+  return chain;
+};
+
+beforeEach(() => {
+  // the ranking window asks for a createdAt range, older pages do not
+  mock.method(Post, "find", (filter) =>
+    query(filter.createdAt && filter.createdAt.$gte ? recent : [old])
+  );
+  mock.method(Post, "aggregate", async () => []);
+  mock.method(Post, "exists", async () => true);
+});
+
+afterEach(() => mock.restoreAll());
+
+const readFeed = async () => {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await getRankedFeed(viewer, [friend], { cursor, limit: 2 });
+    ids.push(...page.posts.map(({ _id }) => String(_id)));
+    cursor = page.nextCursor;
+  } while (cursor && ids.length < 10);
+  return ids;
+};
+
+describe("getRankedFeed", () => {
+  it("pages through the ranked window once, then older posts", async () => {
+    const ids = await readFeed();
+
+    assert.equal(new Set(ids).size, ids.length);
+    assert.deepEqual(
+      ids.slice(0, 3).sort(),
+      recent.map(({ _id }) => _id).sort()
+    );
+    assert.equal(ids[0], recent[1]._id);
+    assert.equal(ids[3], old._id);
+  });
+});
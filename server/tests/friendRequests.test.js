@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import request from "supertest";
+import app from "../app.js";
+import FriendRequest from "../models/FriendRequest.js";
+import User from "../models/User.js";
+import { mockSessions, newId, withToken } from "./helpers.js";
+
+const me = newId();
+const target = newId();
+
+let token;
+
+before(() => {
+  token = mockSessions()(me);
+  mock.method(User, "findById", async (id) => ({ id, friends: [] }));
+  mock.method(User, "exists", async () => null);
+  mock.method(FriendRequest, "findOne", async () => null);
+  // what the unique index answers when a concurrent request was saved first
+  mock.method(FriendRequest.prototype, "save", async () => {
+    throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+  });
+});
+
+after(() => mock.restoreAll());
+
+const sendRequest = (userId) =>
+  withToken(request(app).post(`/friend-requests/${userId}`), token);
+
+describe("POST /friend-requests/:userId", () => {
+  it("rejects a malformed user id", async () => {
+    const res = await sendRequest("not-an-id");
+    assert.equal(res.status, 400);
+  });
+
+  it("answers a request that lost the race as already sent", async () => {
+    const res = await sendRequest(target);
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, "Request already sent.");
+  });
+});
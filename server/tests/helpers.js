@@ -0,0 +1,31 @@
+import { mock } from "node:test";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+
+// tests run without a database: each file mocks the model calls its code
+// makes, and these helpers cover the ones every signed-in request needs
+
+process.env.JWT_SECRET = "test-secret";
+
+export const newId = () => new mongoose.Types.ObjectId().toString();
+
+// serves sessions from memory until mock.restoreAll(); the returned signIn
+// opens one for a user and hands back its access token
+export const mockSessions = () => {
+  const sessions = new Map();
+  mock.method(
+    Session,
+    "findOne",
+    async ({ _id }) => sessions.get(String(_id)) || null
+  );
+
+  return (userId) => {
+    const sid = newId();
+    sessions.set(sid, { _id: sid, userId, lastSeenAt: new Date() });
+    return jwt.sign({ id: userId, sid }, process.env.JWT_SECRET);
+  };
+};
+
+export const withToken = (req, token) =>
+  req.set("Authorization", `Bearer ${token}`);
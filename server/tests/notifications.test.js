@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { notify } from "../services/notifications.js";
+import { newId } from "./helpers.js";
+
+const owner = newId();
+const liker = newId();
+const postId = newId();
+
+let stored;
+
+beforeEach(() => {
+  stored = new Map();
+  mock.method(User, "findById", async () => ({
+    firstName: "Li",
+    lastName: "Ker",
+  }));
+  mock.method(Notification, "findOneAndUpdate", async (key, update) => {
+    const id = JSON.stringify(key);
+    if (!stored.has(id)) stored.set(id, { ...key, ...update.$setOnInsert });
+    return stored.get(id);
+  });
+  mock.method(Notification.prototype, "save", async function () {
+    stored.set(newId(), this);
+    return this;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("notify", () => {
+  it("keeps one like notification however often a like is toggled", async () => {
+    for (let toggle = 0; toggle < 3; toggle += 1) {
+      await notify({ userId: owner, actorId: liker, type: "like", postId });
+    }
+    assert.equal(stored.size, 1);
+  });
+
+  it("records every comment", async () => {
+    for (let comment = 0; comment < 2; comment += 1) {
+      await notify({ userId: owner, actorId: liker, type: "comment", postId });
+    }
+    assert.equal(stored.size, 2);
+  });
+});
@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import request from "supertest";
+import app from "../app.js";
+import Post from "../models/Post.js";
+import { mockSessions, newId, withToken } from "./helpers.js";
+
+const me = newId();
+const postId = newId();
+
+let token;
+let findPost;
+
+before(() => {
+  token = mockSessions()(me);
+  findPost = mock.method(Post, "findById", async () => ({
+    _id: postId,
+    userId: me,
+    description: "original",
+    edits: [],
+  }));
+});
+
+after(() => mock.restoreAll());
+
+const editPost = (body) =>
+  withToken(request(app).patch(`/posts/${postId}`), token).send(body);
+
+describe("PATCH /posts/:id", () => {
+  for (const [label, body] of [
+    ["a missing description", {}],
+    ["a non-string description", { description: 42 }],
+    ["an empty description", { description: "   " }],
+  ]) {
+    it(`rejects ${label} without touching the post`, async () => {
+      const res = await editPost(body);
+      assert.equal(res.status, 400);
+      assert.equal(findPost.mock.callCount(), 0);
+    });
+  }
+});
@@ -0,0 +1,40 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it, mock } from "node:test";
+import RateLimit from "../models/RateLimit.js";
+import { mongoStore } from "../rateLimit/index.js";
+
+afterEach(() => mock.restoreAll());
+
+// what the driver throws when a concurrent upsert inserted the key first
+const racedInsert = (result) => {
+  let calls = 0;
+  return async () => {
+    calls += 1;
+    if (calls === 1) throw Object.assign(new Error("E11000"), { code: 11000 });
+    return result;
+  };
+};
+
+describe("mongoStore", () => {
+  it("retries a hit that lost the race to create its key", async () => {
+    const resetAt = new Date(Date.now() + 60000);
+    const write = mock.method(
+      RateLimit,
+      "findOneAndUpdate",
+      racedInsert({ count: 2, resetAt })
+    );
+
+    assert.deepEqual(await mongoStore.hit("login:ip:1", 60000), {
+      count: 2,
+      resetAt,
+    });
+    assert.equal(write.mock.callCount(), 2);
+  });
+
+  it("retries a set that lost the race to create its key", async () => {
+    const write = mock.method(RateLimit, "updateOne", racedInsert({}));
+
+    await mongoStore.set("login-lock:someone", 5, 60000);
+    assert.equal(write.mock.callCount(), 2);
+  });
+});
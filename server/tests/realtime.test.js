@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it, mock } from "node:test";
+import jwt from "jsonwebtoken";
+import WebSocket from "ws";
+import Post from "../models/Post.js";
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { emitPostToFriendsOf, initRealtime } from "../services/realtime.js";
+import { revokeUserTokens } from "../services/tokens.js";
+import { mockSessions, newId } from "./helpers.js";
+
+const author = newId();
+const blocker = newId();
+const muter = newId();
+const blockedCommenter = newId();
+
+const users = {
+  [author]: { id: author, friends: [blocker, muter], blocked: [], muted: [] },
+  [blocker]: {
+    id: blocker,
+    friends: [author],
+    blocked: [blockedCommenter],
+    muted: [],
+  },
+  [muter]: { id: muter, friends: [author], blocked: [], muted: [author] },
+};
+
+let server;
+let port;
+let signIn;
+const clients = [];
+
+const open = (token) => {
+  const ws = new WebSocket(`ws://localhost:${port}/ws?token=${token}`);
+  clients.push(ws);
+  return new Promise((resolve) => ws.on("open", () => resolve(ws)));
+};
+
+const closed = (ws) => new Promise((resolve) => ws.on("close", resolve));
+
+const connect = async (userId) => {
+  const ws = await open(signIn(userId));
+  const received = [];
+  ws.on("message", (data) => received.push(JSON.parse(data)));
+  return received;
+};
+
+before(async () => {
+  signIn = mockSessions();
+  mock.method(User, "findById", async (id) => users[String(id)] || null);
+  mock.method(User, "find", async (filter) => {
+    const all = Object.values(users);
+    if (filter.blocked) {
+      return all.filter(({ blocked }) => blocked.includes(filter.blocked));
+    }
+    return all.filter(({ id }) => filter._id.$in.includes(id));
+  });
+
+  server = http.createServer();
+  initRealtime(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  clients.forEach((ws) => ws.close());
+  await new Promise((resolve) => server.close(resolve));
+  mock.restoreAll();
+});
+
+describe("emitPostToFriendsOf", () => {
+  it("applies each recipient's block and mute lists", async () => {
+    const [blockerEvents, muterEvents] = await Promise.all([
+      connect(blocker),
+      connect(muter),
+    ]);
+
+    const post = new Post({
+      userId: author,
+      firstName: "Post",
+      lastName: "Author",
+      likes: {},
+      comments: [
+        { userId: blockedCommenter, firstName: "B", lastName: "C", text: "x" },
+        { userId: muter, firstName: "M", lastName: "U", text: "y" },
+      ],
+    });
+    await emitPostToFriendsOf(author, "comment-added", post);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    assert.equal(muterEvents.length, 0);
+    assert.equal(blockerEvents.length, 1);
+    assert.deepEqual(
+      blockerEvents[0].post.comments.map(({ userId }) => userId),
+      [muter]
+    );
+  });
+});
+
+describe("socket lifetime", { timeout: 5000 }, () => {
+  it("closes the sockets of sessions signed out elsewhere", async () => {
+    mock.method(RefreshToken, "updateMany", async () => ({}));
+    mock.method(Session, "updateMany", async () => ({}));
+    const kept = signIn(author);
+    const [keptSocket, endedSocket] = await Promise.all([
+      open(kept),
+      open(signIn(author)),
+    ]);
+
+    await revokeUserTokens(author, jwt.decode(kept).sid);
+    assert.equal(await closed(endedSocket), 4001);
+    assert.equal(keptSocket.readyState, WebSocket.OPEN);
+  });
+
+  it("closes a socket once its token expires", async () => {
+    const { sid } = jwt.decode(signIn(author));
+    const token = jwt.sign({ id: author, sid }, process.env.JWT_SECRET, {
+      expiresIn: 1,
+    });
+
+    assert.equal(await closed(await open(token)), 4002);
+  });
+});
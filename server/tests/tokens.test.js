@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import RefreshToken from "../models/RefreshToken.js";
+import Session from "../models/Session.js";
+import { rotateRefreshToken } from "../services/tokens.js";
+import { newId } from "./helpers.js";
+
+const userId = newId();
+const family = newId();
+
+const req = { cookies: { refreshToken: "old-token" } };
+const response = () => ({
+  cookies: [],
+  cookie(name, value) {
+    this.cookies.push(value);
+  },
+});
+
+let stored;
+let revoked;
+let created;
+
+beforeEach(() => {
+  stored = {
+    _id: newId(),
+    userId,
+    family,
+    revokedAt: null,
+    replacedBy: null,
+    expiresAt: new Date(Date.now() + 86400000),
+  };
+  mock.method(RefreshToken, "findOne", async () => ({ ...stored }));
+  // the same conditional write the database makes
+  mock.method(RefreshToken, "findOneAndUpdate", async (filter, update) => {
+    if (stored.revokedAt !== filter.revokedAt) return null;
+    const before = { ...stored };
+    Object.assign(stored, update);
+    return before;
+  });
+  mock.method(RefreshToken, "updateOne", async () => ({}));
+  revoked = mock.method(RefreshToken, "updateMany", async () => ({}));
+  created = mock.method(RefreshToken.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(Session, "updateOne", async () => ({}));
+  mock.method(Session, "findById", async () => ({
+    _id: family,
+    revokedAt: null,
+    save: async () => {},
+  }));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("rotateRefreshToken", () => {
+  it("gives racing requests the same successor", async () => {
+    const [first, second] = [response(), response()];
+    const rotated = await Promise.all([
+      rotateRefreshToken(req, first),
+      rotateRefreshToken(req, second),
+    ]);
+
+    assert.equal(created.mock.callCount(), 1);
+    assert.deepEqual(first.cookies, second.cookies);
+    assert.equal(rotated[0].accessToken, rotated[1].accessToken);
+    assert.equal(revoked.mock.callCount(), 0);
+  });
+
+  it("treats a rotated token as reuse and ends the session", async () => {
+    await rotateRefreshToken(req, response());
+    const replayed = await rotateRefreshToken(req, response());
+
+    assert.equal(replayed, null);
+    assert.equal(created.mock.callCount(), 1);
+    assert.equal(revoked.mock.callCount(), 1);
+  });
+
+  it("ends the session when another server claimed the token first", async () => {
+    mock.method(RefreshToken, "findOneAndUpdate", async () => null);
+
+    const rotated = await rotateRefreshToken(req, response());
+    assert.equal(rotated, null);
+    assert.equal(created.mock.callCount(), 0);
+    assert.equal(revoked.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import bcrypt from "bcrypt";
+import request from "supertest";
+import app from "../app.js";
+import User from "../models/User.js";
+import { mockSessions, newId, withToken } from "./helpers.js";
+
+const me = newId();
+
+let token;
+
+before(async () => {
+  token = mockSessions()(me);
+  const user = {
+    id: me,
+    email: "guarded@example.com",
+    password: await bcrypt.hash("right password", 4),
+    twoFactor: { enabled: true, secret: "SECRET", recoveryCodes: [] },
+  };
+  mock.method(User, "findById", () => ({ select: async () => user }));
+});
+
+after(() => mock.restoreAll());
+
+describe("POST /auth/2fa/disable", () => {
+  it("locks the account after repeated wrong passwords", async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 6; attempt += 1) {
+      const res = await withToken(
+        request(app).post("/auth/2fa/disable"),
+        token
+      ).send({ password: "guess", code: "000000" });
+      statuses.push(res.status);
+    }
+
+    assert.deepEqual(statuses, [400, 400, 400, 400, 400, 429]);
+  });
+});
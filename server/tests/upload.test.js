@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import express from "express";
+import sharp from "sharp";
+import request from "supertest";
+import { uploadImage } from "../middleware/upload.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { diskStorage } from "../storage/index.js";
+
+const app = express();
+app.post("/upload", uploadImage("picture"), (req, res) =>
+  res.status(201).json({})
+);
+app.post("/rejected", uploadImage("picture"), (req, res) =>
+  res.status(403).json({ message: "Access Denied" })
+);
+
+let saved;
+let removed;
+
+before(() => {
+  saved = mock.method(diskStorage, "save", async () => {});
+  removed = mock.method(diskStorage, "remove", async () => {});
+  mock.method(Post, "countDocuments", async () => 0);
+  mock.method(User, "countDocuments", async () => 0);
+});
+
+after(() => mock.restoreAll());
+
+// valid magic bytes followed by a body that does not decode
+const corrupt = (header) =>
+  Buffer.concat([Buffer.from(header), Buffer.alloc(64, 0x42)]);
+
+describe("uploadImage", () => {
+  for (const [format, header] of [
+    ["JPEG", [0xff, 0xd8, 0xff, 0xe0]],
+    ["PNG", [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    ["GIF", "GIF89a"],
+  ]) {
+    it(`rejects a corrupt ${format} as an unsupported image`, async () => {
+      const res = await request(app)
+        .post("/upload")
+        .attach("picture", corrupt(header), "picture.img");
+
+      assert.equal(res.status, 415);
+      assert.equal(
+        res.body.message,
+        "Only JPEG, PNG, WebP and GIF images are allowed."
+      );
+    });
+  }
+});
+
+describe("uploadImage cleanup", () => {
+  const picture = () =>
+    sharp({
+      create: { width: 8, height: 8, channels: 3, background: "#ff6633" },
+    })
+      .png()
+      .toBuffer();
+
+  it("removes the stored variants when a later handler rejects", async () => {
+    saved.mock.resetCalls();
+    removed.mock.resetCalls();
+    const res = await request(app)
+      .post("/rejected")
+      .attach("picture", await picture(), "picture.png");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const names = (fn) => fn.mock.calls.map(({ arguments: [name] }) => name);
+    assert.equal(res.status, 403);
+    assert.deepEqual(names(removed).sort(), names(saved).sort());
+  });
+
+  it("keeps the stored variants of an accepted upload", async () => {
+    removed.mock.resetCalls();
+    const res = await request(app)
+      .post("/upload")
+      .attach("picture", await picture(), "picture.png");
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(res.status, 201);
+    assert.equal(removed.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it, mock } from "node:test";
+import sharp from "sharp";
+import request from "supertest";
+import app from "../app.js";
+import Notification from "../models/Notification.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import { variantNames } from "../services/images.js";
+import { diskStorage } from "../storage/index.js";
+import { mockSessions, newId, withToken } from "./helpers.js";
+
+const me = newId();
+const other = newId();
+const OLD_AVATAR = `${"a".repeat(64)}-full.jpg`;
+
+let token;
+let removed;
+
+// stored files are kept off the disk as well
+before(() => {
+  token = mockSessions()(me);
+  mock.method(User, "findById", async (id) =>
+    id === other
+      ? new User({
+          _id: other,
+          firstName: "Other",
+          lastName: "User",
+          email: "other@example.com",
+          password: "hash",
+          blocked: [newId()],
+          socialLinks: [
+            {
+              platform: "github",
+              url: "https://github.com/o",
+              visibility: "private",
+            },
+          ],
+        })
+      : { picturePath: OLD_AVATAR }
+  );
+  mock.method(User, "exists", async () => null);
+  mock.method(
+    User,
+    "findByIdAndUpdate",
+    async (id, updates) =>
+      new User({
+        _id: me,
+        firstName: "Test",
+        lastName: "User",
+        email: "test@example.com",
+        password: "secret",
+        ...updates,
+      })
+  );
+  mock.method(Post, "updateMany", async () => ({}));
+  mock.method(Notification, "updateMany", async () => ({}));
+  mock.method(Post, "countDocuments", async () => 0);
+  mock.method(User, "countDocuments", async () => 0);
+  mock.method(diskStorage, "save", async () => {});
+  removed = mock.method(diskStorage, "remove", async () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe("PATCH /users/:id", () => {
+  it("removes every variant of the replaced avatar", async () => {
+    const picture = await sharp({
+      create: { width: 8, height: 8, channels: 3, background: "#3366ff" },
+    })
+      .png()
+      .toBuffer();
+
+    const res = await withToken(
+      request(app).patch(`/users/${me}`),
+      token
+    ).attach("picture", picture, "avatar.png");
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.picturePath, OLD_AVATAR);
+    assert.deepEqual(
+      removed.mock.calls.map(({ arguments: [name] }) => name).sort(),
+      variantNames(OLD_AVATAR).sort()
+    );
+  });
+});
+
+describe("GET /users/:id", () => {
+  it("shows visitors only the public profile", async () => {
+    const res = await withToken(request(app).get(`/users/${other}`), token);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.firstName, "Other");
+    assert.deepEqual(res.body.socialLinks, []);
+    for (const field of ["password", "email", "twoFactor", "blocked"]) {
+      assert.equal(field in res.body, false, field);
+    }
+  });
+});
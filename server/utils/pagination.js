@@ -0,0 +1,52 @@
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// cursors are opaque to clients: base64 of the last item's createdAt and _id
+export const encodeCursor = ({ createdAt, _id }) =>
+  Buffer.from(
+    JSON.stringify({ createdAt: new Date(createdAt).toISOString(), _id })
+  ).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { createdAt, _id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    return { createdAt: new Date(createdAt), _id };
+  } catch (err) {
+    return null;
+  }
+};
+
+export const parseLimit = (limit) =>
+  Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// fetches one newest-first page of Model documents matching filter
+export const findPage = async (Model, filter, { cursor, limit } = {}) => {
+  const pageSize = parseLimit(limit);
+  const after = cursor && decodeCursor(cursor);
+  const query = after
+    ? {
+        $and: [
+          filter,
+          {
+            $or: [
+              { createdAt: { $lt: after.createdAt } },
+              { createdAt: after.createdAt, _id: { $lt: after._id } },
+            ],
+          },
+        ],
+      }
+    : filter;
+
+  const items = await Model.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1);
+  const hasMore = items.length > pageSize;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+};